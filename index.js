@@ -1,9 +1,12 @@
 import functions from "@google-cloud/functions-framework";
 import protobuf from "protobufjs";
-import { streamDelete, streamUpdatesToBuffer, streamBoxesUpdatesToBuffer, syncBatchedUpdatesToTables } from "./utils.js";
-import { tableNameArray } from "./settings.js";
+import {
+  getDocumentRoute,
+  streamDelete,
+  streamDocumentToBuffer,
+  syncBatchedUpdatesToTables,
+} from "./utils.js";
 
-const collectionNameSet = new Set(tableNameArray);
 let DocumentEventData = null;
 let isProtosLoaded = false;
 
@@ -20,27 +23,23 @@ functions.cloudEvent("streamFirestoreUpdates", async (cloudEvent) => {
 
   const decodedData = DocumentEventData.toObject(DocumentEventData.decode(cloudEvent.data), { longs: Number });
   const name = decodedData.value?.name || decodedData.oldValue.name;
-  const [tableName, docId] = name.split("/").slice(-2);
-
-  if (!collectionNameSet.has(tableName)) {
-    console.log(`Doc changes in "${tableName}" collection are not streamed to BigQuery.`);
+  const route = getDocumentRoute(name);
+  if (!route) {
+    console.log(`Doc changes in "${name}" are not streamed to BigQuery.`);
     return;
   }
 
+  const { tableName, docId, pathFields } = route;
+
   if (!decodedData.value) {
     console.log(`Deleting row (docId: ${docId}) from ${tableName} table in BigQuery...`);
-    await streamDelete(tableName, docId);
+    await streamDelete(tableName, docId, cloudEvent.id, pathFields, decodedData.oldValue, cloudEvent.time);
     return;
   }
 
   const timestamp = new Date().toISOString();
   console.time(`Time for streaming ${tableName} doc ${docId}(${timestamp})`);
-  if (tableName === "boxes") {
-    await streamBoxesUpdatesToBuffer(tableName, docId, decodedData);
-  } else {
-    await streamUpdatesToBuffer(tableName, docId, decodedData);
-  }
-
+  await streamDocumentToBuffer(tableName, docId, decodedData, cloudEvent.id, pathFields);
   console.timeEnd(`Time for streaming ${tableName} doc ${docId}(${timestamp})`);
 });
 
@@ -1,9 +1,13 @@
 #!/usr/bin/env node
 import { execSync } from "node:child_process";
 import {
+  addBufferOnlyColumns,
   createAllBufferTables,
   createAllTargetTables,
+  createCurrentViews,
   createLogTables,
+  createChangelogTables,
+  createAsOfFunctions,
   parseArgs,
   getAndSaveSchemas,
   cleanupSchemasFile,
@@ -13,6 +17,17 @@ import {
   flattenCidArray,
   getAndSaveAllRowsFromWarningLogs,
   mergeWarningFieldsToSchemas,
+  proposeSchemaChanges,
+  applySchemaChanges,
+  backfillTable,
+  snapshotCollection,
+  checkTableConsistency,
+  purgeSoftDeletedRows,
+  replayErrors,
+  addErrorLogColumns,
+  addWarningLogColumns,
+  migrateTablePartitioning,
+  validateTableConfigs,
 } from "./localUtils.js";
 
 const projectTiers = {
@@ -22,9 +37,13 @@ const projectTiers = {
 };
 
 const commandLineEntries = {
+  addBufferOnlyColumns,
   createAllBufferTables,
   createAllTargetTables,
+  createCurrentViews,
   createLogTables,
+  createChangelogTables,
+  createAsOfFunctions,
   getAndSaveSchemas,
   cleanupSchemasFile,
   simplifySchemaFields,
@@ -33,6 +52,17 @@ const commandLineEntries = {
   getAndSaveAllRowsFromWarningLogs,
   mergeWarningFieldsToSchemas,
   updateSchemasInBigQuery,
+  proposeSchemaChanges,
+  applySchemaChanges,
+  backfillTable,
+  snapshotCollection,
+  checkTableConsistency,
+  purgeSoftDeletedRows,
+  replayErrors,
+  addErrorLogColumns,
+  addWarningLogColumns,
+  migrateTablePartitioning,
+  validateTableConfigs,
 };
 
 /**
@@ -43,6 +73,12 @@ const commandLineEntries = {
  * @example
  * node localRun.js --entry createAllBufferTables --gcloud --env dev
  * node localRun.js --entry updateSchemasInBigQuery participants boxes --gcloud --env stage
+ * node localRun.js --entry applySchemaChanges participants --gcloud --env dev
+ * node localRun.js --entry backfillTable participants d_123456789 --gcloud --env dev
+ * node localRun.js --entry snapshotCollection participants --gcloud --env dev
+ * node localRun.js --entry checkTableConsistency boxes repair --gcloud --env dev
+ * node localRun.js --entry replayErrors participants transient 2026-01-01 --gcloud --env dev
+ * node localRun.js --entry migrateTablePartitioning buffer participants boxes --gcloud --env dev
  */
 const runCommand = async (inputArgs) => {
   const argObj = parseArgs(inputArgs);
@@ -86,6 +122,7 @@ const runFile = async (gcloud, tierString) => {
    */
   // await createAllBufferTables();    // Create tables in BigQuery, using defined schemas
   // await createLogTables();            // Create "error_log" and "warning_log" tables
+  // await addWarningLogColumns();       // Add structured warning columns to an existing "warning_log" table
 
   /**
    * Get current schemas and compare with base schemas
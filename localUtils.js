@@ -1,34 +1,50 @@
 import fs from 'node:fs/promises';
 import path from 'node:path';
 import admin from "firebase-admin";
-import { bigquery, saveError, saveWarning, cleanupFieldsData, cleanupAndFlattenFields, allTableFieldNameSets, flattenBoxData } from "./utils.js";
-import { datasetName, bufferDatasetName, collectionNameArray as tableNameArray, warningLogTableName } from "./settings.js";
+import {
+  bigquery,
+  saveError,
+  saveWarning,
+  createWarning,
+  getFirestoreValueType,
+  cleanupFieldsData,
+  cleanupAndFlattenFields,
+  coerceDataToSchema,
+  coerceNestedDataToSchema,
+  classifyError,
+  getBufferInsertId,
+  allTableFieldNameSets,
+  flattenBoxData,
+  tableConfigMap,
+  rowExpanders,
+  getDocumentRoute,
+  streamDocumentToBuffer,
+  streamDelete,
+  explodeDocument,
+  backfillEventIdPrefix,
+} from "./utils.js";
+import {
+  datasetName,
+  bufferDatasetName,
+  collectionNameArray as tableNameArray,
+  errorLogTableName,
+  warningLogTableName,
+  warningCountsTableName,
+  bufferInsertBatchSize,
+  changelogDatasetName,
+  schemaEvolutionAllowedTables,
+  softDeletedRowsRetainDays,
+  deletedDocsTableName,
+  syncStateTableName,
+  tablePartitioning,
+  clusteringColumnNames,
+} from "./settings.js";
 import allSchemas from "./tableSchemas.js";
 import arraysToBeFlattened from "./arraysToBeFlattened.js";
 
 admin.initializeApp();
 const db = admin.firestore();
 
-const ignoredKeys = {
-  participants: {
-    top: new Set([
-      "query",
-      "unverifiedSeen",
-      "utm_id",
-      "utm_source",
-      "verifiedSeen",
-      "firstSurveyCompletedSeen",
-      "569151507",
-      "Module2",
-      "D_726699695_V2",
-      "D_166676176",
-      "uid",
-      "nullValue",
-    ]),
-    nested: new Set(["treeJSON", "COMPLETED", "COMPLETED_TS", "sha", "110349197", "543608829", "nullValue"]),
-  },
-};
-
 /**
  * Sort and de-duplicate fields in the schemas; add common fields to each table schema.
  * @param {object} inputSchemas 
@@ -80,29 +96,361 @@ export const getTableSchema = async (datasetName, tableName) => {
   return schema.fields;
 };
 
-export const createTable = async (datasetName, tableName, fieldArray) => {
+/**
+ * Create a table.
+ * @param {string} datasetName
+ * @param {string} tableName
+ * @param {object[]} fieldArray
+ * @param {object} [tableOptions] Other options of the table, e.g. `timePartitioning` and `clustering` from
+ *   `getTableOptions`
+ */
+export const createTable = async (datasetName, tableName, fieldArray, tableOptions = {}) => {
   const options = {
     schema: fieldArray,
+    ...tableOptions,
   };
 
   const [table] = await bigquery.dataset(datasetName).createTable(tableName, options);
   console.log(`Table ${table.id} created.`);
 };
 
+// Log tables partitioned and clustered as the "log" kind of `tablePartitioning` (settings.js)
+const partitionedLogTableNames = [errorLogTableName, warningLogTableName, warningCountsTableName];
+const clusterableFieldTypes = new Set(["STRING", "INT64", "INTEGER", "NUMERIC", "BOOL", "BOOLEAN", "DATE", "TIMESTAMP"]);
+
+/**
+ * Build time partitioning and clustering options of a table, following `tablePartitioning` and `clusteringColumnNames`
+ * in settings.js. Tables are clustered on their primary key columns (table and doc columns for log tables) first.
+ * @param {string} tableKind "buffer", "target" or "log"
+ * @param {string} tableName
+ * @param {object[]} fieldArray Schema of the table
+ * @returns {object} `timePartitioning` and `clustering` options of the BigQuery client, where they apply
+ */
+const getTableOptions = (tableKind, tableName, fieldArray) => {
+  const fieldTypeMap = new Map(fieldArray.map((field) => [field.name, field.mode === "REPEATED" ? "" : field.type]));
+  let options = {};
+  if (tablePartitioning[tableKind]) {
+    const { field = null, expirationDays = null } = tablePartitioning[tableKind];
+    options.timePartitioning = { type: "DAY" };
+    if (["TIMESTAMP", "DATE"].includes(fieldTypeMap.get(field))) {
+      options.timePartitioning.field = field;
+    } else if (field) {
+      console.log(`Column ${field} of table ${tableName} isn't a TIMESTAMP or DATE column. Using ingestion time instead.`);
+    }
+
+    if (expirationDays) {
+      options.timePartitioning.expirationMs = String(expirationDays * 24 * 60 * 60 * 1000);
+    }
+  }
+
+  const keyColumnNames = tableKind === "log" ? ["targetTable", "tableName", "docId"] : tableConfigMap[tableName]?.primaryKey || [];
+  const clusteringFields = [...new Set([...keyColumnNames, ...clusteringColumnNames])]
+    .filter((name) => clusterableFieldTypes.has(fieldTypeMap.get(name)))
+    .slice(0, 4);
+  if (clusteringFields.length > 0) {
+    options.clustering = { fields: clusteringFields };
+  }
+
+  return options;
+};
+
+/**
+ * Build the PARTITION BY, CLUSTER BY and OPTIONS clauses of a CREATE TABLE statement from table options.
+ * @param {object} tableOptions `timePartitioning` and `clustering` options, as from `getTableOptions`
+ * @param {object[]} fieldArray Schema of the table
+ * @returns {string[]}
+ */
+const getTableOptionsClauses = ({ timePartitioning, clustering }, fieldArray) => {
+  let clauseArray = [];
+  if (timePartitioning) {
+    const { field } = timePartitioning;
+    const fieldType = fieldArray.find((fieldObj) => fieldObj.name === field)?.type;
+    clauseArray.push(`PARTITION BY ${!field ? "_PARTITIONDATE" : fieldType === "DATE" ? field : `DATE(${field})`}`);
+  }
+
+  if (clustering) clauseArray.push(`CLUSTER BY ${clustering.fields.join(", ")}`);
+  if (timePartitioning) {
+    const { expirationMs } = timePartitioning;
+    const expirationDays = expirationMs ? Number(expirationMs) / (24 * 60 * 60 * 1000) : "NULL";
+    clauseArray.push(`OPTIONS (partition_expiration_days = ${expirationDays})`);
+  }
+
+  return clauseArray;
+};
+
+/**
+ * Recreate a table with the partitioning and clustering of its kind, the same way as `updateTableSchema`: rows are
+ * copied to a temp table, which then replaces the table. Tables already partitioned and clustered this way are skipped.
+ * @param {string} datasetName
+ * @param {string} tableKind "buffer", "target" or "log"
+ * @param {string} tableName
+ */
+const migrateTableOptions = async (datasetName, tableKind, tableName) => {
+  const [metadata] = await bigquery.dataset(datasetName).table(tableName).getMetadata();
+  const fieldArray = metadata.schema.fields;
+  const { timePartitioning = metadata.timePartitioning, clustering } = getTableOptions(tableKind, tableName, fieldArray);
+  const describeOptions = (options) =>
+    JSON.stringify([
+      options.timePartitioning?.type ?? null,
+      options.timePartitioning?.field ?? null,
+      options.timePartitioning?.expirationMs ?? null,
+      options.clustering?.fields ?? [],
+    ]);
+  if (describeOptions(metadata) === describeOptions({ timePartitioning, clustering })) {
+    console.log(`Table ${tableName} is already partitioned and clustered as configured.`);
+    return;
+  }
+
+  // Without partitioning set for the table kind, the temp table keeps the partitioning of the table
+  const clauseArray = getTableOptionsClauses({ timePartitioning, clustering }, fieldArray);
+  const tempTableName = `${tableName}_temp`;
+  const archiveTableName =
+    `${tableName}_archive_` +
+    new Date()
+      .toISOString()
+      .slice(0, -5)
+      .replace(/[^0-9]/g, "");
+
+  const combinedQuery = `
+    CREATE TABLE ${datasetName}.${tempTableName}
+      LIKE ${datasetName}.${tableName}
+      ${clauseArray.join("\n      ")};
+
+      INSERT INTO ${datasetName}.${tempTableName}
+      SELECT * FROM ${datasetName}.${tableName};
+
+      ALTER TABLE ${datasetName}.${tableName}
+      RENAME TO ${archiveTableName};
+
+      ALTER TABLE ${datasetName}.${tempTableName}
+      RENAME TO ${tableName};
+
+      DROP TABLE ${datasetName}.${archiveTableName};
+      `;
+
+  await bigquery.query(combinedQuery);
+  console.log(`Table ${tableName} partitioned and clustered.`);
+};
+
+/**
+ * Convert existing tables of a kind ("buffer", "target" or "log") to the partitioning and clustering set in settings.js.
+ * Without table names, all tables of the kind are converted. Rows written to a table while it's copied are lost, so
+ * pause streaming and syncs during the migration. With ingestion-time partitioning, copied rows are in the partition
+ * of the migration day.
+ * @param {string} tableKind
+ * @param  {...string} inputTableNameArray
+ */
+export const migrateTablePartitioning = async (tableKind, ...inputTableNameArray) => {
+  const tableKindDatasetNames = { buffer: bufferDatasetName, target: datasetName, log: datasetName };
+  if (!tableKindDatasetNames[tableKind]) {
+    console.log(`Unknown table kind "${tableKind}". Use "buffer", "target" or "log".`);
+    return;
+  }
+
+  const defaultTableNameArray = tableKind === "log" ? partitionedLogTableNames : Object.keys(allSchemas);
+  const tableNameArray = inputTableNameArray.length > 0 ? inputTableNameArray : defaultTableNameArray;
+  for (const tableName of tableNameArray) {
+    try {
+      await migrateTableOptions(tableKindDatasetNames[tableKind], tableKind, tableName);
+    } catch (error) {
+      console.error(`Error occurred when migrating table ${tableName}.`, error.message);
+    }
+  }
+};
+
+// Fields in buffer tables but not in target tables.
+const bufferOnlyFields = [
+  { name: "isDeleted", type: "BOOLEAN" }, // Marks deleted records
+  { name: "eventId", type: "STRING" }, // Id of the CloudEvent that streamed the record, used to find duplicate deliveries
+  { name: "commitTime", type: "STRING" }, // Firestore commit time of the change with microseconds, used to order changes
+  { name: "bufferedAt", type: "TIMESTAMP" }, // Time the record was inserted, compared with sync watermarks
+];
+
 export const createAllBufferTables = async () => {
   for (const tableName in allSchemas) {
     const schema = allSchemas[tableName];
-    schema.splice(3, 0, { name: "isDeleted", type: "BOOLEAN" }); // Use `isDeleted` field to mark deleted records in buffer tables.
-    await createTable(bufferDatasetName, tableName, schema);
+    const fieldArray = [...schema.slice(0, 3), ...bufferOnlyFields, ...schema.slice(3)];
+    await createTable(bufferDatasetName, tableName, fieldArray, getTableOptions("buffer", tableName, fieldArray));
   }
 };
 
+/**
+ * Add buffer-only fields missing in existing buffer tables.
+ */
+export const addBufferOnlyColumns = async () => {
+  for (const tableName in allSchemas) {
+    const query = `
+      ALTER TABLE ${bufferDatasetName}.${tableName}
+      ${bufferOnlyFields.map((field) => `ADD COLUMN IF NOT EXISTS ${field.name} ${field.type}`).join(", ")};
+    `;
+    await bigquery.query(query);
+    console.log(`Buffer-only columns added to table ${tableName}.`);
+  }
+};
+
+/**
+ * Get columns of a target table not in its schema in tableSchemas.js, added by the table's sync mode.
+ * @param {string} tableName
+ * @returns {object[]}
+ */
+const getTargetOnlyFields = (tableName) => {
+  const syncMode = getSyncMode(tableName);
+  if (syncMode === "scd2") {
+    return [
+      { name: "valid_from", type: "TIMESTAMP" },
+      { name: "valid_to", type: "TIMESTAMP" },
+    ];
+  }
+
+  if (syncMode === "softDelete") {
+    return [
+      { name: "isDeleted", type: "BOOLEAN" },
+      { name: "deletedAt", type: "TIMESTAMP" },
+    ];
+  }
+
+  return [];
+};
+
+// Child tables are synced in soft-delete mode if their parent table is
+const parentTableNameMap = new Map(
+  Object.entries(tableConfigMap).flatMap(([tableName, config]) =>
+    Object.values(config.childTables).map((childTableName) => [childTableName, tableName])
+  )
+);
+const getSyncMode = (tableName) => {
+  if (tableConfigMap[tableName]) return tableConfigMap[tableName].syncMode;
+  const parentSyncMode = tableConfigMap[parentTableNameMap.get(tableName)]?.syncMode;
+  return parentSyncMode === "softDelete" ? parentSyncMode : "overwrite";
+};
+
+// Condition selecting current rows in a target table, leaving out closed versions and soft-deleted rows
+const getCurrentRowCondition = (tableName) => {
+  const syncMode = getSyncMode(tableName);
+  if (syncMode === "scd2") return "valid_to IS NULL";
+  if (syncMode === "softDelete") return "isDeleted IS NOT TRUE";
+  return "TRUE";
+};
+
 export const createAllTargetTables = async () => {
   for (const tableName in allSchemas) {
-    await createTable(datasetName, tableName, allSchemas[tableName]);
+    const fieldArray = [...allSchemas[tableName], ...getTargetOnlyFields(tableName)];
+    await createTable(datasetName, tableName, fieldArray, getTableOptions("target", tableName, fieldArray));
   }
 }
 
+/**
+ * Create views like "firestore_stream.participants_current", showing only current rows of tables whose sync mode
+ * keeps other rows (closed versions in SCD Type 2 mode, or soft-deleted rows).
+ */
+export const createCurrentViews = async () => {
+  for (const tableName in allSchemas) {
+    const targetOnlyFieldNames = getTargetOnlyFields(tableName).map((field) => field.name);
+    if (targetOnlyFieldNames.length === 0) continue;
+    const query = `
+      CREATE OR REPLACE VIEW ${datasetName}.${tableName}_current AS
+      SELECT * EXCEPT(${targetOnlyFieldNames.join(", ")})
+      FROM ${datasetName}.${tableName}
+      WHERE ${getCurrentRowCondition(tableName)};
+    `;
+    await bigquery.query(query);
+    console.log(`View ${datasetName}.${tableName}_current created.`);
+  }
+};
+
+const changelogFields = [
+  { name: "docId", type: "STRING" },
+  { name: "operation", type: "STRING" },
+  { name: "eventId", type: "STRING" },
+  { name: "eventTime", type: "TIMESTAMP" },
+  { name: "changedFields", type: "STRING", mode: "REPEATED" },
+  { name: "rowData", type: "JSON" },
+];
+
+/**
+ * Create changelog tables, partitioned by day of `eventTime`, for tables with `changelog` enabled in tableConfigs.js.
+ */
+export const createChangelogTables = async () => {
+  for (const [tableName, config] of Object.entries(tableConfigMap)) {
+    if (!config.changelog) continue;
+    const options = { schema: changelogFields, timePartitioning: { type: "DAY", field: "eventTime" } };
+    await bigquery.dataset(changelogDatasetName).createTable(tableName, options);
+    console.log(`Changelog table ${changelogDatasetName}.${tableName} created.`);
+  }
+};
+
+const sqlCastTypes = { INTEGER: "INT64", FLOAT: "FLOAT64", BOOLEAN: "BOOL" };
+
+/**
+ * Build a query selecting the state of a table as of `asOfTime` (a TIMESTAMP parameter) from its changelog: the latest change of each row at
+ * that time, unless the row was deleted.
+ * @param {string} tableName
+ * @returns {string}
+ */
+export const getAsOfQuery = (tableName) => {
+  const { primaryKey } = tableConfigMap[tableName];
+  const columnArray = allSchemas[tableName].map(({ name, type }) => {
+    if (type === "JSON") return `JSON_QUERY(rowData, "$.${name}") AS ${name}`;
+    if (type === "STRING") return `JSON_VALUE(rowData, "$.${name}") AS ${name}`;
+    return `SAFE_CAST(JSON_VALUE(rowData, "$.${name}") AS ${sqlCastTypes[type] || type}) AS ${name}`;
+  });
+
+  return `
+    SELECT ${columnArray.join(", ")}
+    FROM (
+      SELECT *, ROW_NUMBER() OVER (
+        PARTITION BY ${primaryKey.map((columnName) => `JSON_VALUE(rowData, "$.${columnName}")`).join(", ")}
+        ORDER BY eventTime DESC, eventId DESC) AS rn
+      FROM ${changelogDatasetName}.${tableName}
+      WHERE eventTime <= asOfTime )
+    WHERE rn = 1 AND operation != "DELETE"`;
+};
+
+/**
+ * Create table functions like "firestore_stream_changelog.participants_as_of(asOfTime)", returning the state of
+ * each table with changelog as of a time, e.g.
+ * SELECT * FROM firestore_stream_changelog.participants_as_of(TIMESTAMP "2025-01-01 00:00:00 UTC")
+ */
+export const createAsOfFunctions = async () => {
+  for (const [tableName, config] of Object.entries(tableConfigMap)) {
+    if (!config.changelog) continue;
+    const query = `
+      CREATE OR REPLACE TABLE FUNCTION ${changelogDatasetName}.${tableName}_as_of(asOfTime TIMESTAMP) AS (
+        ${getAsOfQuery(tableName)}
+      );`;
+    await bigquery.query(query);
+    console.log(`Table function ${changelogDatasetName}.${tableName}_as_of created.`);
+  }
+};
+
+// Fields of the error log added for `replayErrors`
+const errorLogReplayFields = [
+  { name: "errorId", type: "STRING" },
+  { name: "errorClass", type: "STRING" }, // From `classifyError` in utils.js
+  { name: "replayStatus", type: "STRING" }, // "REPLAYED", "FAILED_AGAIN" or "INVALID"
+  { name: "replayId", type: "STRING" }, // Id of the last replay attempt
+  { name: "replayedAt", type: "TIMESTAMP" },
+  { name: "replayDetails", type: "STRING" }, // Error of the last failed replay attempt
+];
+
+// Structured warnings of the warning log, one record per warning (see `createWarning` in utils.js)
+const warningLogRecordFields = [
+  { name: "eventId", type: "STRING" },
+  {
+    name: "warnings",
+    type: "RECORD",
+    mode: "REPEATED",
+    fields: ["warningType", "tableName", "fieldPath", "columnName", "valueType", "columnType", "message"].map((name) => ({
+      name,
+      type: "STRING",
+    })),
+  },
+];
+
+/**
+ * Create log tables in the target dataset. Existing tables are skipped, so log tables added later can be created in
+ * an environment that already has the others.
+ */
 export const createLogTables = async () => {
   const schemas = {
     error_log: [
@@ -130,6 +478,7 @@ export const createLogTables = async () => {
         name: "errorDetails",
         type: "STRING",
       },
+      ...errorLogReplayFields,
     ],
     warning_log: [
       {
@@ -152,14 +501,122 @@ export const createLogTables = async () => {
         name: "warningDetails",
         type: "STRING",
       },
+      ...warningLogRecordFields,
+    ],
+    [deletedDocsTableName]: [
+      {
+        name: "targetTable",
+        type: "STRING",
+      },
+      {
+        name: "docId",
+        type: "STRING",
+      },
+      {
+        name: "eventId",
+        type: "STRING",
+      },
+      {
+        name: "deletedAt",
+        type: "STRING",
+      },
+      {
+        name: "data",
+        type: "STRING",
+      },
+    ],
+    [syncStateTableName]: [
+      {
+        name: "tableName",
+        type: "STRING",
+      },
+      {
+        name: "watermark",
+        type: "TIMESTAMP",
+      },
+      {
+        name: "syncedAt",
+        type: "TIMESTAMP",
+      },
+    ],
+    [warningCountsTableName]: [
+      {
+        name: "hourStart",
+        type: "TIMESTAMP",
+      },
+      {
+        name: "tableName",
+        type: "STRING",
+      },
+      {
+        name: "warningType",
+        type: "STRING",
+      },
+      {
+        name: "fieldPath",
+        type: "STRING",
+      },
+      {
+        name: "columnName",
+        type: "STRING",
+      },
+      {
+        name: "occurrences",
+        type: "INT64",
+      },
+      {
+        name: "sampledOccurrences",
+        type: "INT64",
+      },
+      {
+        name: "flushedAt",
+        type: "TIMESTAMP",
+      },
     ],
   };
 
   for (const tableName in schemas) {
-    await createTable(datasetName, tableName, schemas[tableName]);
+    const [exists] = await bigquery.dataset(datasetName).table(tableName).exists();
+    if (exists) {
+      console.log(`Table ${tableName} already exists.`);
+      continue;
+    }
+
+    const tableOptions = partitionedLogTableNames.includes(tableName)
+      ? getTableOptions("log", tableName, schemas[tableName])
+      : {};
+    await createTable(datasetName, tableName, schemas[tableName], tableOptions);
   }
 };
 
+/**
+ * Add fields used by `replayErrors` to an existing error log table.
+ */
+export const addErrorLogColumns = async () => {
+  const query = `
+    ALTER TABLE ${datasetName}.${errorLogTableName}
+    ${errorLogReplayFields.map((field) => `ADD COLUMN IF NOT EXISTS ${field.name} ${field.type}`).join(", ")};
+  `;
+  await bigquery.query(query);
+  console.log(`Replay columns added to table ${errorLogTableName}.`);
+};
+
+/**
+ * Add `eventId` and structured `warnings` fields to an existing warning log table. Rows saved before the change only
+ * have `warningDetails`, and are left out of queries on `warnings`.
+ */
+export const addWarningLogColumns = async () => {
+  const [eventIdField, warningsField] = warningLogRecordFields;
+  const structFieldsStr = warningsField.fields.map((field) => `${field.name} ${field.type}`).join(", ");
+  const query = `
+    ALTER TABLE ${datasetName}.${warningLogTableName}
+    ADD COLUMN IF NOT EXISTS ${eventIdField.name} ${eventIdField.type},
+    ADD COLUMN IF NOT EXISTS ${warningsField.name} ARRAY<STRUCT<${structFieldsStr}>>;
+  `;
+  await bigquery.query(query);
+  console.log(`Structured warning columns added to table ${warningLogTableName}.`);
+};
+
 export const copyTable = async (sourceDataSet, sourceTable, destinationDataSet, destinationTable) => {
   const [job] = await bigquery
     .dataset(sourceDataSet)
@@ -174,49 +631,32 @@ export const copyTable = async (sourceDataSet, sourceTable, destinationDataSet,
   }
 };
 
-export const getExtraFieldsFromWarningLogs = async (targetTable) => {
-  const deleteExtraFieldsQuery = `DELETE
-    FROM
-      firestore_stream.warning_logs
-    WHERE
-      STRUCT(docId,
-        warningTime) IN (
-      SELECT
-        STRUCT(docId,
-          warningTime)
-      FROM (
-        SELECT
-          docId,
-          warningTime,
-          ROW_NUMBER() OVER (PARTITION BY docId ORDER BY warningTime DESC) AS row_num
-        FROM
-          firestore_stream.warning_logs WHERE targetTable="${targetTable}" AND warningDetails LIKE "Extra%")
-      WHERE
-        row_num > 1 );`;
-  await bigquery.query(deleteExtraFieldsQuery); // Delete redundant rows
+// Extra fields saved in the warning log, as `warning` rows with the table (`warning.tableName`) and column of each field
+const extraFieldWarningsSource = `${datasetName}.${warningLogTableName}, UNNEST(warnings) AS warning`;
+const extraFieldCondition = `warning.warningType = "extraField"`;
 
-  const queryStr = `SELECT warningDetails FROM ${datasetName}.${warningLogTableName} WHERE targetTable="${targetTable}" AND warningDetails LIKE "Extra%"`;
-  const [rows] = await bigquery.query(queryStr);
-  console.log(`Rows with extra fields: ${rows.length}`);
-  const extraFields = new Set();
-  const regex = /^Extra.*in\sdata:\s/; // Adjust if pattern changes
-  for (const row of rows) {
-    if (regex.test(row.warningDetails)) {
-      const extraFieldsArray = row.warningDetails.replace(regex, "").split(", ");
-      extraFieldsArray.forEach((field) => {
-        if (ignoredKeys[targetTable]?.top.has(field)) return;
-        extraFields.add(field);
-      });
-    }
-  }
+/**
+ * Get names of extra fields found in docs of a table, from structured warnings of the warning log.
+ * @param {string} targetTable
+ * @returns {Promise<string[]>}
+ */
+export const getExtraFieldsFromWarningLogs = async (targetTable) => {
+  const query = `
+    SELECT DISTINCT warning.columnName
+    FROM ${extraFieldWarningsSource}
+    WHERE warning.tableName = @targetTable AND ${extraFieldCondition}
+    ORDER BY warning.columnName;
+  `;
+  const [rows] = await bigquery.query({ query, params: { targetTable } });
+  console.log(`Extra fields found: ${rows.length}`);
 
-  return [...extraFields].sort();
+  return rows.map((row) => row.columnName).filter((field) => !ignoredFields[targetTable]?.top.has(field));
 };
 
 export const getAllRowsFromWarningLogs = async () => {
   const deleteDuplicateRowsQuery = `DELETE
       FROM
-        firestore_stream.warning_logs
+        ${datasetName}.${warningLogTableName}
       WHERE
         STRUCT(docId,
           warningTime) IN (
@@ -229,7 +669,7 @@ export const getAllRowsFromWarningLogs = async () => {
             warningTime,
             ROW_NUMBER() OVER (PARTITION BY docId ORDER BY warningTime DESC) AS row_num
           FROM
-            firestore_stream.warning_logs)
+            ${datasetName}.${warningLogTableName})
         WHERE
           row_num > 1 );`;
   await bigquery.query(deleteDuplicateRowsQuery); // Delete redundant rows
@@ -239,7 +679,61 @@ export const getAllRowsFromWarningLogs = async () => {
   return rows;
 };
 
-export const changeTableFields = async (datasetName, tableName, addedFields = [], removedFieldNames = []) => {
+const isRecordField = (field) => ["RECORD", "STRUCT"].includes(field.type);
+
+/**
+ * Build the DDL type of a column from its schema field, e.g. `ARRAY<STRUCT<a STRING, b INT64>>` for a REPEATED RECORD.
+ * @param {object} field
+ * @returns {string}
+ */
+const getColumnTypeDdl = (field) => {
+  const { type, mode, fields = [] } = field;
+  const baseType = isRecordField(field)
+    ? `STRUCT<${fields.map((subField) => `${subField.name} ${getColumnTypeDdl(subField)}`).join(", ")}>`
+    : sqlCastTypes[type] || type;
+  return mode === "REPEATED" ? `ARRAY<${baseType}>` : baseType;
+};
+
+/**
+ * Build the expression copying a column of a table to its new schema. RECORD columns whose fields changed are rebuilt
+ * field by field, with added fields set to null and removed fields left out.
+ * @param {object} newField
+ * @param {object} [oldField] Field in the current schema, if any
+ * @param {string} valuePath Expression of the current value
+ * @param {number} [depth] Depth of REPEATED RECORD columns, naming their items
+ * @returns {string}
+ */
+const getColumnCopyExpression = (newField, oldField, valuePath, depth = 0) => {
+  if (!oldField) return `CAST(NULL AS ${getColumnTypeDdl(newField)})`;
+  if (!isRecordField(newField) || !isRecordField(oldField) || (newField.mode === "REPEATED") !== (oldField.mode === "REPEATED")) {
+    return valuePath;
+  }
+
+  if (getColumnTypeDdl(newField) === getColumnTypeDdl(oldField)) return valuePath;
+
+  const oldSubFieldMap = new Map((oldField.fields || []).map((subField) => [subField.name, subField]));
+  const buildStruct = (structPath) =>
+    `STRUCT(${newField.fields
+      .map((subField) => {
+        const subFieldPath = `${structPath}.${subField.name}`;
+        return `${getColumnCopyExpression(subField, oldSubFieldMap.get(subField.name), subFieldPath, depth + 1)} AS ${subField.name}`;
+      })
+      .join(", ")})`;
+  if (newField.mode === "REPEATED") {
+    const itemName = `item${depth}`;
+    return `ARRAY(SELECT ${buildStruct(itemName)} FROM UNNEST(${valuePath}) AS ${itemName} WITH OFFSET AS offset${depth} ORDER BY offset${depth})`;
+  }
+
+  return `IF(${valuePath} IS NULL, NULL, ${buildStruct(valuePath)})`;
+};
+
+export const changeTableFields = async (
+  datasetName,
+  tableName,
+  addedFields = [],
+  removedFieldNames = [],
+  tableKind = "target"
+) => {
   const table = bigquery.dataset(datasetName).table(tableName);
   const [metadata] = await table.getMetadata();
   const schema = metadata.schema.fields;
@@ -289,10 +783,14 @@ export const changeTableFields = async (datasetName, tableName, addedFields = []
     .map((field) => field.name)
     .join(", ");
 
+  const { timePartitioning = metadata.timePartitioning, clustering } = getTableOptions(tableKind, tableName, newSchema);
+  const clauseArray = getTableOptionsClauses({ timePartitioning, clustering }, newSchema);
+
   const combinedQuery = `
     CREATE TABLE ${datasetName}.${tempTableName} (
-        ${newSchema.map((field) => `${field.name} ${field.type}`).join(", ")}
-      );
+        ${newSchema.map((field) => `${field.name} ${getColumnTypeDdl(field)}`).join(", ")}
+      )
+      ${clauseArray.join("\n      ")};
       
       INSERT INTO ${datasetName}.${tempTableName} (${existingFieldNamesJoined})
       SELECT ${existingFieldNamesJoined}
@@ -312,7 +810,15 @@ export const changeTableFields = async (datasetName, tableName, addedFields = []
   return newSchema;
 };
 
-export const updateTableSchema = async (datasetName, tableName, newSchema = []) => {
+/**
+ * Recreate a table with a new schema, keeping the values of columns in both schemas. The table is partitioned and
+ * clustered as set for its kind (see `getTableOptions`), keeping its current partitioning if none is set for the kind.
+ * @param {string} datasetName
+ * @param {string} tableName
+ * @param {object[]} newSchema
+ * @param {string} [tableKind] "buffer", "target" or "log"
+ */
+export const updateTableSchema = async (datasetName, tableName, newSchema = [], tableKind = "target") => {
   if (!Array.isArray(newSchema) || newSchema.length === 0) {
     console.log(`No new schema provided for table ${tableName}.`);
     return;
@@ -326,7 +832,13 @@ export const updateTableSchema = async (datasetName, tableName, newSchema = [])
   const newSchemaFieldNames = new Set(newSchema.map((field) => field.name));
   const addedFieldNames = newSchemaFieldNames.difference(existingSchemaFileNames);
   const removedFieldNames = existingSchemaFileNames.difference(newSchemaFieldNames);
-  if (addedFieldNames.size === 0 && removedFieldNames.size === 0) {
+  // RECORD columns (tables in nested mode) also change when fields are added to or removed from them
+  const existingFieldMap = new Map(schema.map((field) => [field.name, field]));
+  const changedRecordFields = newSchema.filter((field) => {
+    const existingField = existingFieldMap.get(field.name);
+    return existingField && isRecordField(field) && getColumnTypeDdl(field) !== getColumnTypeDdl(existingField);
+  });
+  if (addedFieldNames.size === 0 && removedFieldNames.size === 0 && changedRecordFields.length === 0) {
     console.log(`No changes made to schema for table ${tableName}.`);
     return;
   }
@@ -338,18 +850,26 @@ export const updateTableSchema = async (datasetName, tableName, newSchema = [])
       .toISOString()
       .slice(0, -5)
       .replace(/[^0-9]/g, "");
-  const existingFieldNamesJoined = newSchema
-    .filter((field) => !addedFieldNames.has(field.name))
-    .map((field) => field.name)
+  const existingFieldArray = newSchema.filter((field) => !addedFieldNames.has(field.name));
+  const existingFieldNamesJoined = existingFieldArray.map((field) => field.name).join(", ");
+  const copyExpressionsJoined = existingFieldArray
+    .map((field) => {
+      const copyExpression = getColumnCopyExpression(field, existingFieldMap.get(field.name), field.name);
+      return copyExpression === field.name ? field.name : `${copyExpression} AS ${field.name}`;
+    })
     .join(", ");
 
+  const { timePartitioning = metadata.timePartitioning, clustering } = getTableOptions(tableKind, tableName, newSchema);
+  const clauseArray = getTableOptionsClauses({ timePartitioning, clustering }, newSchema);
+
   const combinedQuery = `
     CREATE TABLE ${datasetName}.${tempTableName} (
-        ${newSchema.map((field) => `${field.name} ${field.type}`).join(", ")}
-      );
+        ${newSchema.map((field) => `${field.name} ${getColumnTypeDdl(field)}`).join(", ")}
+      )
+      ${clauseArray.join("\n      ")};
       
       INSERT INTO ${datasetName}.${tempTableName} (${existingFieldNamesJoined})
-      SELECT ${existingFieldNamesJoined}
+      SELECT ${copyExpressionsJoined}
       FROM ${datasetName}.${tableName};
 
       ALTER TABLE ${datasetName}.${tableName}
@@ -429,10 +949,11 @@ export const getAllSchemas = async (datasetName) => {
 export const createRowMapFromFirestoreEventData = async (decodedData) => {
   const name = decodedData.value?.name || decodedData.oldValue.name;
   const [tableName, docId] = name.split("/").slice(-2);
-  if (decodedData.updateMask && decodedData.updateMask.fieldPaths.length < ignoredKeys[tableName]?.top.size) {
+  const ignoredTopKeys = tableConfigMap[tableName]?.ignoredKeys.top;
+  if (decodedData.updateMask && decodedData.updateMask.fieldPaths.length < ignoredTopKeys?.size) {
     let ignoredFieldCount = 0;
     for (const fieldName of decodedData.updateMask.fieldPaths) {
-      if (ignoredKeys[tableName].top.has(fieldName)) {
+      if (ignoredTopKeys.has(fieldName)) {
         ignoredFieldCount++;
       }
     }
@@ -442,15 +963,17 @@ export const createRowMapFromFirestoreEventData = async (decodedData) => {
     }
   }
 
-  const [cleanedData, warningMsgArray] = cleanupFieldsData(tableName, decodedData.value.fields);
+  const [cleanedData, warningArray] = cleanupFieldsData(tableName, decodedData.value.fields);
   const fieldNamesInData = new Set(Object.keys(cleanedData));
   const fieldNamesInSchema = new Set(allSchemas[tableName].map((field) => field.name));
   const extraFieldsInData = fieldNamesInData.difference(fieldNamesInSchema); // Need Node v22 for Set difference
-  if (extraFieldsInData.size > 0) {
-    warningMsgArray.push(`Extra fields found in data: ${[...extraFieldsInData].join(", ")}`);
+  for (const fieldName of extraFieldsInData) {
+    const valueType = getFirestoreValueType(decodedData.value.fields, fieldName);
+    const details = { fieldPath: fieldName, columnName: fieldName, valueType };
+    warningArray.push(createWarning(tableName, "extraField", `Extra field found in data: ${fieldName}`, details));
   }
-  if (warningMsgArray.length > 0) {
-    await saveWarning(datasetName, tableName, docId, cleanedData, warningMsgArray.join("; "));
+  if (warningArray.length > 0) {
+    await saveWarning(datasetName, tableName, docId, cleanedData, warningArray);
   }
 
   const createTimeMilliseconds =
@@ -609,114 +1132,17 @@ export const syncDataFromFirestoreToBigQuery = async (collectionName, token) =>
   await insertRow(datasetName, collectionName, rowMap);
 };
 
-// Fields to be ignored might differ for each table.
-const commonTopFields = ["__key__", "__error__", "__has_error__"];
+// Fields to be ignored might differ for each table. Keys in Firestore starting with a digit get a "d_" prefix in BigQuery.
+const commonTopFields = ["__key__", "__error__", "__has_error__", "undefined"];
 const commonNestedFields = ["__key__"];
 
-const ignoredFields = {
-  participants: {
-    top: new Set([...commonTopFields,
-      "query",
-      "unverifiedSeen",
-      "undefined",
-      "utm_id",
-      "utm_source",
-      "verifiedSeen",
-      "firstSurveyCompletedSeen",
-      "d_569151507",
-      "Module2",
-      "D_726699695_V2",
-      "D_166676176",
-    ]),
-    nested: new Set([
-      ...commonNestedFields,
-      "treeJSON",
-      "COMPLETED",
-      "COMPLETED_TS",
-      "sha",
-      "d_110349197",
-      "d_543608829",
-    ]),
-  },
-  bioSurvey_v1: {
-    top: new Set([...commonTopFields, "treeJSON", "sha"]),
-    nested: new Set([...commonNestedFields]),
-  },
-  biospecimen: {
-    top: new Set([...commonTopFields]),
-    nested: new Set([...commonNestedFields]),
-  },
-  birthdayCard: {
-    top: new Set([...commonTopFields]),
-    nested: new Set([...commonNestedFields]),
-  },
-  boxes: {
-    top: new Set([...commonTopFields]),
-    nested: new Set([...commonNestedFields]),
-  },
-  cancerOccurrence: {
-    top: new Set([...commonTopFields]),
-    nested: new Set([...commonNestedFields]),
-  },
-  cancerScreeningHistorySurvey: {
-    top: new Set([...commonTopFields, "treeJSON", "sha"]),
-    nested: new Set([...commonNestedFields]),
-  },
-  clinicalBioSurvey_v1: {
-    top: new Set([...commonTopFields, "treeJSON", "sha"]),
-    nested: new Set([...commonNestedFields]),
-  },
-  covid19Survey_v1: {
-    top: new Set([...commonTopFields, "treeJSON", "sha"]),
-    nested: new Set([...commonNestedFields]),
-  },
-  experience2024: {
-    top: new Set([...commonTopFields, "treeJSON", "sha"]),
-    nested: new Set([...commonNestedFields]),
-  },
-  kitAssembly: {
-    top: new Set([...commonTopFields]),
-    nested: new Set([...commonNestedFields]),
-  },
-  menstrualSurvey_v1: {
-    top: new Set([...commonTopFields, "treeJSON", "sha"]),
-  },
-  module1_v1: {
-    top: new Set([...commonTopFields, "treeJSON", "sha"]),
-    nested: new Set([...commonNestedFields]),
-  },
-  module1_v2: {
-    top: new Set([...commonTopFields, "treeJSON", "sha"]),
-    nested: new Set([...commonNestedFields]),
-  },
-  module2_v1: {
-    top: new Set([...commonTopFields, "treeJSON", "sha"]),
-    nested: new Set([...commonNestedFields]),
-  },
-  module2_v2: {
-    top: new Set([...commonTopFields, "treeJSON", "sha"]),
-    nested: new Set([...commonNestedFields]),
-  },
-  module3_v1: {
-    top: new Set([...commonTopFields, "treeJSON", "sha"]),
-    nested: new Set([...commonNestedFields]),
-  },
-  module4_v1: {
-    top: new Set([...commonTopFields, "treeJSON", "sha"]),
-    nested: new Set([...commonNestedFields]),
-  },
-  mouthwash_v1: {
-    top: new Set([...commonTopFields, "treeJSON", "sha"]),
-    nested: new Set([...commonNestedFields]),
-  },
-  notifications: {
-    top: new Set([...commonTopFields]),
-    nested: new Set([...commonNestedFields]),
-  },
-  promis_v1: {
-    top: new Set([...commonTopFields, "treeJSON", "sha"]),
-    nested: new Set([...commonNestedFields]),
-  }
+const ignoredFields = {};
+for (const tableName in tableConfigMap) {
+  const { top, nested } = tableConfigMap[tableName].ignoredKeys;
+  ignoredFields[tableName] = {
+    top: new Set([...commonTopFields, ...[...top].map((key) => key.replace(/^(\d)/, "d_$1"))]),
+    nested: new Set([...commonNestedFields, ...[...nested].map((key) => key.replace(/^(\d)/, "d_$1"))]),
+  };
 }
 
 export const getAndSaveSchemas = async (tierString) => {
@@ -743,7 +1169,7 @@ const cleanupFields = (tableName, level, obj) => {
       if (key === "description" || (key === "mode" && value === "NULLABLE")) continue;
       let processValue = cleanupFields(tableName, level + 1, value);
       if (processValue !== null) {
-        newObj[key] = processValue === "INTEGER" ? "STRING" : processValue;
+        newObj[key] = processValue;
       }
     }
 
@@ -773,7 +1199,8 @@ export const cleanupSchemasFile = async (inputJsonFilePath) => {
   let cleanSchemas = JSON.parse(fileContent);
   for (const tableName in cleanSchemas) {
     const cleanedFields = cleanupFields(tableName, 0, cleanSchemas[tableName]);
-    cleanSchemas[tableName] = flattenSchema(cleanedFields);
+    // Tables in nested mode keep RECORD and REPEATED columns
+    cleanSchemas[tableName] = tableConfigMap[tableName]?.nested ? cleanedFields : flattenSchema(cleanedFields);
   }
 
   cleanSchemas = formatSchemas(cleanSchemas);
@@ -881,8 +1308,101 @@ export const splitSchemas = async (inputJsonFilePath, folderName) => {
 export const updateSchemasInBigQuery = async (...inputTableNameArray) =>{
   for (const tableName in allSchemas) {
     if (!inputTableNameArray.includes(tableName)) continue;
-    await updateTableSchema(datasetName, tableName, allSchemas[tableName]);
+    await updateTableSchema(datasetName, tableName, [...allSchemas[tableName], ...getTargetOnlyFields(tableName)]);
+  }
+};
+
+/**
+ * Check table configs in tableConfigs.js against table schemas in tableSchemas.js. Problems are printed, and the
+ * process exit code is set to 1 if any is found.
+ * @returns {boolean} True if no problems are found
+ */
+export const validateTableConfigs = async () => {
+  let errorMsgArray = [];
+  let warningMsgArray = [];
+
+  const childTableNameSet = new Set(Object.values(tableConfigMap).flatMap((config) => Object.values(config.childTables)));
+  for (const tableName in allSchemas) {
+    if (!tableConfigMap[tableName] && !childTableNameSet.has(tableName)) {
+      errorMsgArray.push(`${tableName}: schema exists but table config is missing`);
+    }
+  }
+
+  for (const [tableName, config] of Object.entries(tableConfigMap)) {
+    const fieldNameSet = allTableFieldNameSets[tableName];
+    if (!fieldNameSet) {
+      errorMsgArray.push(`${tableName}: schema not found in tableSchemas.js`);
+      continue;
+    }
+
+    const missingFieldName = (fieldName) => !fieldNameSet.has(fieldName);
+    const pathFieldNames = [...(config.pathPattern || "").matchAll(/\{(\w+)\}/g)]
+      .map((match) => match[1])
+      .filter((fieldName) => fieldName !== "docId");
+    const mixedFieldColumnNames = [...config.mixedStringAndObjectFields].map((fieldName) => `${fieldName}_string`);
+    const oneHotColumnNames = Object.entries(config.oneHotArrays).flatMap(([path, cidArray]) =>
+      cidArray.map((cid) => `${path}_${cid.replace(/^(\d)/, "D_$1")}`)
+    );
+    const explodeColumnNames = config.explode ? [...(config.explode.carry || []), ...Object.keys(config.explode.emit)] : [];
+    const checks = [
+      ["primary key column(s)", config.primaryKey],
+      ["explode rule column(s)", explodeColumnNames],
+      ["path pattern column(s)", pathFieldNames],
+      ["string column(s) of mixed fields", mixedFieldColumnNames],
+      ["one-hot column(s)", oneHotColumnNames],
+    ];
+    for (const [description, columnNames] of checks) {
+      const missingColumnNames = columnNames.filter(missingFieldName);
+      if (missingColumnNames.length > 0) {
+        errorMsgArray.push(`${tableName}: ${description} not in schema: ${missingColumnNames.join(", ")}`);
+      }
+    }
+
+    const nestedColumnNames = allSchemas[tableName]
+      .filter((field) => field.mode === "REPEATED" || ["RECORD", "STRUCT"].includes(field.type))
+      .map((field) => field.name);
+    if (!config.nested && nestedColumnNames.length > 0) {
+      errorMsgArray.push(`${tableName}: RECORD or REPEATED column(s) need "nested" mode: ${nestedColumnNames.join(", ")}`);
+    }
+
+    for (const [fieldName, childTableName] of Object.entries(config.childTables)) {
+      const childFieldNameSet = allTableFieldNameSets[childTableName];
+      if (!childFieldNameSet) {
+        errorMsgArray.push(`${tableName}: schema of child table "${childTableName}" not found in tableSchemas.js`);
+      } else {
+        const childKeyColumnNames = [...new Set(["docId", ...config.childDocKey, "arrayIndex"])];
+        const missingKeyColumnNames = childKeyColumnNames.filter((columnName) => !childFieldNameSet.has(columnName));
+        if (missingKeyColumnNames.length > 0) {
+          const columnNamesStr = missingKeyColumnNames.join(", ");
+          errorMsgArray.push(`${tableName}: child table "${childTableName}" is missing key column(s) ${columnNamesStr}`);
+        }
+      }
+      if (fieldNameSet.has(fieldName)) {
+        warningMsgArray.push(`${tableName}: field "${fieldName}" is streamed to child table but also in schema`);
+      }
+    }
+
+    if (config.rowExpander && !rowExpanders[config.rowExpander]) {
+      errorMsgArray.push(`${tableName}: row expander "${config.rowExpander}" not found`);
+    }
+
+    const ignoredColumnNames = [...config.ignoredKeys.top]
+      .map((key) => key.replace(/^(\d)/, "d_$1"))
+      .filter((fieldName) => fieldNameSet.has(fieldName));
+    if (ignoredColumnNames.length > 0) {
+      warningMsgArray.push(`${tableName}: ignored key(s) also in schema: ${ignoredColumnNames.join(", ")}`);
+    }
   }
+
+  warningMsgArray.forEach((msg) => console.log(`Warning: ${msg}`));
+  errorMsgArray.forEach((msg) => console.error(`Error: ${msg}`));
+  if (errorMsgArray.length > 0) {
+    process.exitCode = 1;
+    return false;
+  }
+
+  console.log("Table configs are valid.");
+  return true;
 };
 
 export const flattenCidArray = async (outputFilePath) => {
@@ -914,20 +1434,16 @@ export const getAndSaveAllRowsFromWarningLogs = async () => {
   await fs.writeFile("./temp/schemas/warnings_records.json", JSON.stringify(rows, null, 2));
 
   let result = {};
-  const regex = /^Extra.*in\sdata:\s/; // Adjust regex if pattern changes
   for (const row of rows) {
-    const tableName = row.targetTable;
-    if (!result[tableName]) {
-      result[tableName] = new Set();
-    }
+    for (const warning of row.warnings || []) {
+      if (warning.warningType !== "extraField") continue;
+      const { tableName, columnName } = warning;
+      if (ignoredFields[tableName]?.top.has(columnName)) continue;
+      if (!result[tableName]) {
+        result[tableName] = new Set();
+      }
 
-    const extraFieldNameArray = row.warningDetails
-      .replace(regex, "")
-      .split(", ")
-      .map((str) => str.trim());
-    for (const fieldName of extraFieldNameArray) {
-      if (ignoredKeys[tableName]?.top.has(fieldName)) continue;
-      result[tableName].add(fieldName);
+      result[tableName].add(columnName);
     }
   }
 
@@ -952,6 +1468,693 @@ export const mergeWarningFieldsToSchemas = async () => {
   await fs.writeFile("./temp/schemas/schemas_warnings_merged.json", JSON.stringify(allSchemasFormatted, null, 2));
 };
 
+// Column types of Firestore value types. Geo points found as extra fields are split to latitude and longitude columns.
+const valueTypeColumnTypes = {
+  stringValue: "STRING",
+  integerValue: "INT64",
+  doubleValue: "FLOAT64",
+  booleanValue: "BOOL",
+  timestampValue: "TIMESTAMP",
+  geoPointValue: "FLOAT64",
+};
+
+/**
+ * Infer the type of a new column from the Firestore value types seen in its field. Integers mixed with doubles give
+ * FLOAT64; other mixed types, other value types (e.g. arrays) and fields without value types in the warning log give
+ * STRING.
+ * @param {string[]} valueTypeArray
+ * @returns {string}
+ */
+const inferColumnType = (valueTypeArray = []) => {
+  const typeSet = new Set(valueTypeArray.map((valueType) => valueTypeColumnTypes[valueType] || "STRING"));
+  if (typeSet.size === 1) return [...typeSet][0];
+  if (typeSet.size === 2 && typeSet.has("INT64") && typeSet.has("FLOAT64")) return "FLOAT64";
+  return "STRING";
+};
+
+/**
+ * Aggregate extra fields reported in structured warnings of the warning log, and propose them as new columns, per
+ * table (child tables included). Column types are inferred from the Firestore value types seen (see
+ * `inferColumnType`). Fields already in tableSchemas.js or ignored by table configs are left out. Nested paths and, in
+ * tables in nested mode, fields holding maps, arrays or geo points (RECORD columns) can't be added by
+ * `ALTER TABLE ADD COLUMN` and are listed for manual review. Add them to tableSchemas.js and run
+ * `updateSchemasInBigQuery` instead.
+ * @returns {Promise<object>} `{ <table name>: { columns: [{ name, type, valueTypes, occurrences, docCount, firstSeen,
+ *   lastSeen }], manualReview: [...] } }`
+ */
+export const getProposedSchemaChanges = async () => {
+  const query = `
+    SELECT warning.tableName, warning.columnName, ARRAY_AGG(DISTINCT warning.valueType IGNORE NULLS) AS valueTypes,
+      COUNT(*) AS occurrences, COUNT(DISTINCT docId) AS docCount, MIN(warningTime) AS firstSeen, MAX(warningTime) AS lastSeen
+    FROM ${extraFieldWarningsSource}
+    WHERE ${extraFieldCondition}
+    GROUP BY warning.tableName, warning.columnName
+    ORDER BY warning.tableName, warning.columnName;
+  `;
+  const [rows] = await bigquery.query(query);
+
+  let proposedChanges = {};
+  for (const { tableName, columnName: name, valueTypes, occurrences, docCount, firstSeen, lastSeen } of rows) {
+    if (!allSchemas[tableName] || allTableFieldNameSets[tableName]?.has(name)) continue;
+    if (ignoredFields[tableName]?.top.has(name)) continue;
+    if (!proposedChanges[tableName]) {
+      proposedChanges[tableName] = { columns: [], manualReview: [] };
+    }
+
+    const change = { name, type: inferColumnType(valueTypes), valueTypes, occurrences, docCount, firstSeen, lastSeen };
+    const isScalarField =
+      valueTypes.length > 0 && valueTypes.every((valueType) => valueType !== "geoPointValue" && valueTypeColumnTypes[valueType]);
+    if ((tableConfigMap[tableName]?.nested && !isScalarField) || !/^[A-Za-z_]\w*$/.test(name)) {
+      proposedChanges[tableName].manualReview.push(change);
+    } else {
+      proposedChanges[tableName].columns.push(change);
+    }
+  }
+
+  return proposedChanges;
+};
+
+/**
+ * Save proposed column changes from the warning log to "./temp/schemas/proposed_schema_changes.json" for review.
+ */
+export const proposeSchemaChanges = async () => {
+  const proposedChanges = await getProposedSchemaChanges();
+  await fs.mkdir("./temp/schemas", { recursive: true });
+  await fs.writeFile("./temp/schemas/proposed_schema_changes.json", JSON.stringify(proposedChanges, null, 2));
+  for (const [tableName, { columns, manualReview }] of Object.entries(proposedChanges)) {
+    console.log(`${tableName}: ${columns.length} column(s) to add, ${manualReview.length} field(s) for manual review.`);
+  }
+
+  console.log(`Proposed changes saved to "./temp/schemas/proposed_schema_changes.json".`);
+};
+
+/**
+ * Build the code of a value in the style of tableSchemas.js: 2-space indents, unquoted keys where possible and
+ * trailing commas. Leaf values are written with `JSON.stringify`.
+ * @param {*} value
+ * @param {string} [indent]
+ * @returns {string}
+ */
+const toSchemasCode = (value, indent = "") => {
+  const itemIndent = `${indent}  `;
+  if (Array.isArray(value)) {
+    if (value.length === 0) return "[]";
+    return `[\n${value.map((item) => `${itemIndent}${toSchemasCode(item, itemIndent)},\n`).join("")}${indent}]`;
+  }
+
+  if (value && typeof value === "object") {
+    const entryArray = Object.entries(value);
+    if (entryArray.length === 0) return "{}";
+    const entriesCode = entryArray
+      .map(([key, item]) => {
+        const keyCode = /^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key);
+        return `${itemIndent}${keyCode}: ${toSchemasCode(item, itemIndent)},\n`;
+      })
+      .join("");
+    return `{\n${entriesCode}${indent}}`;
+  }
+
+  return JSON.stringify(value);
+};
+
+/**
+ * Write schemas back to tableSchemas.js, keeping its doc comment and code style. The code is generated from the
+ * schema objects, and checked to be read back as the same schemas before the file is replaced.
+ * @param {object} schemas
+ */
+const writeTableSchemasFile = async (schemas) => {
+  const fileUrl = new URL("./tableSchemas.js", import.meta.url);
+  const fileContent = await fs.readFile(fileUrl, "utf-8");
+  const schemasCode = toSchemasCode(schemas);
+  const parsedSchemas = new Function(`return ${schemasCode};`)();
+  if (JSON.stringify(parsedSchemas) !== JSON.stringify(schemas)) {
+    throw new Error("Generated code of tableSchemas.js doesn't match the schemas. The file is left unchanged.");
+  }
+
+  const headerContent = fileContent.slice(0, fileContent.indexOf("export default "));
+  await fs.writeFile(fileUrl, `${headerContent}export default ${schemasCode};\n`);
+};
+
+/**
+ * Add new columns proposed from the warning log to buffer and target tables, using `ALTER TABLE ADD COLUMN`, and add
+ * them to tableSchemas.js. Only additive changes are made. Tables named in the arguments are approved for this run;
+ * without arguments, tables in `schemaEvolutionAllowedTables` (settings.js) are updated.
+ * Redeploy the function afterwards, so that streamed rows include the new columns.
+ * @param  {...string} approvedTableNameArray
+ */
+export const applySchemaChanges = async (...approvedTableNameArray) => {
+  const approvedTableNameSet = new Set(
+    approvedTableNameArray.length > 0 ? approvedTableNameArray : schemaEvolutionAllowedTables
+  );
+  const proposedChanges = await getProposedSchemaChanges();
+  let updatedSchemas = { ...allSchemas };
+  let hasChanges = false;
+
+  for (const [tableName, { columns }] of Object.entries(proposedChanges)) {
+    if (columns.length === 0) continue;
+    if (!approvedTableNameSet.has(tableName)) {
+      console.log(`Skipped ${columns.length} column(s) of table ${tableName}: table not approved.`);
+      continue;
+    }
+
+    const addColumnClauses = columns.map(({ name, type }) => `ADD COLUMN IF NOT EXISTS ${name} ${type}`).join(", ");
+    try {
+      await bigquery.query(`ALTER TABLE ${bufferDatasetName}.${tableName} ${addColumnClauses};`);
+      await bigquery.query(`ALTER TABLE ${datasetName}.${tableName} ${addColumnClauses};`);
+    } catch (error) {
+      console.error(`Error occurred when adding columns to table ${tableName}.`, error.message);
+      continue;
+    }
+
+    updatedSchemas[tableName] = [...allSchemas[tableName], ...columns.map(({ name, type }) => ({ name, type }))];
+    hasChanges = true;
+    console.log(`Added ${columns.length} column(s) to table ${tableName}: ${columns.map(({ name }) => name).join(", ")}`);
+  }
+
+  if (hasChanges) {
+    await writeTableSchemasFile(updatedSchemas);
+    console.log("Updated tableSchemas.js. Please review and commit the changes, then redeploy the function.");
+  }
+};
+
+/**
+ * Convert a value read by firebase-admin to the `Value` format of Firestore events, so that docs read from Firestore
+ * are converted to rows the same way as streamed ones.
+ * @param {*} value
+ * @returns {object}
+ */
+const toEventValue = (value) => {
+  if (value === null || value === undefined) return { nullValue: 0 };
+  if (typeof value === "string") return { stringValue: value };
+  if (typeof value === "boolean") return { booleanValue: value };
+  if (typeof value === "number") return Number.isInteger(value) ? { integerValue: value } : { doubleValue: value };
+  if (Array.isArray(value)) return { arrayValue: value.length > 0 ? { values: value.map(toEventValue) } : {} };
+  if (value instanceof admin.firestore.Timestamp) {
+    return { timestampValue: { seconds: value.seconds, nanos: value.nanoseconds } };
+  }
+  if (value instanceof admin.firestore.GeoPoint) {
+    return { geoPointValue: { latitude: value.latitude, longitude: value.longitude } };
+  }
+  if (value instanceof admin.firestore.DocumentReference) return { referenceValue: value.path };
+  if (value instanceof Uint8Array) return { bytesValue: Buffer.from(value) };
+
+  const fields = Object.fromEntries(Object.entries(value).map(([key, item]) => [key, toEventValue(item)]));
+  return { mapValue: Object.keys(fields).length > 0 ? { fields } : {} };
+};
+
+const toEventTimestamp = (timestamp) => ({ seconds: timestamp.seconds, nanos: timestamp.nanoseconds });
+
+/**
+ * Stream a doc read from Firestore to the buffer table it's routed to, like a doc update event.
+ * @param {object} doc Document snapshot
+ * @param {string} eventId
+ * @returns {Promise<boolean>} False if the doc isn't streamed to any table
+ */
+const streamDocSnapshotToBuffer = async (doc, eventId) => {
+  const route = getDocumentRoute(doc.ref.path);
+  if (!route) return false;
+
+  const decodedData = {
+    value: {
+      name: doc.ref.path,
+      fields: toEventValue(doc.data()).mapValue.fields || {},
+      createTime: toEventTimestamp(doc.createTime),
+      updateTime: toEventTimestamp(doc.updateTime),
+    },
+  };
+  await streamDocumentToBuffer(route.tableName, route.docId, decodedData, eventId, route.pathFields);
+  return true;
+};
+
+const firestorePageSize = 300;
+
+/**
+ * Query docs of the collection streamed to a table. Tables with a path pattern read all subcollections of the same
+ * name (collection group).
+ * @param {string} tableName
+ */
+const getTableDocsQuery = (tableName) => {
+  const { collectionName, pathPattern } = tableConfigMap[tableName];
+  if (collectionName) return db.collection(collectionName);
+  const pathSegments = pathPattern.split("/");
+  return db.collectionGroup(pathSegments[pathSegments.length - 2]);
+};
+
+/**
+ * Page through docs streamed to a table, ordered by document id. Docs of collection groups not matching the table's
+ * path pattern are left out.
+ * @param {string} tableName
+ * @param {(docArray: object[], lastDocPath: string) => Promise<void>} handlePage Called with the doc snapshots of each
+ *   page, and the path of the last doc read
+ * @param {string} [startAfterPath] Path of the doc after which to start, e.g. to resume an interrupted run
+ */
+export const forEachDocPageOfTable = async (tableName, handlePage, startAfterPath = null) => {
+  const query = getTableDocsQuery(tableName).orderBy(admin.firestore.FieldPath.documentId()).limit(firestorePageSize);
+  let pageQuery = query;
+  if (startAfterPath) {
+    const isCollectionGroup = !tableConfigMap[tableName].collectionName;
+    pageQuery = query.startAfter(isCollectionGroup ? startAfterPath : startAfterPath.split("/").pop());
+  }
+
+  while (true) {
+    const querySnapshot = await pageQuery.get();
+    if (querySnapshot.empty) break;
+    const docArray = querySnapshot.docs.filter((doc) => getDocumentRoute(doc.ref.path)?.tableName === tableName);
+    await handlePage(docArray, querySnapshot.docs[querySnapshot.size - 1].ref.path);
+    if (querySnapshot.size < firestorePageSize) break;
+    pageQuery = query.startAfter(querySnapshot.docs[querySnapshot.size - 1]);
+  }
+};
+
+/**
+ * Create a function streaming pages of docs to buffer tables, counting streamed and failed docs. Rows get `eventId`
+ * like "backfill_<ISO time of the run>_<docId>" (see `backfillEventIdPrefix` in utils.js).
+ * @returns {{ streamDocs: (docArray: object[]) => Promise<void>, count: { streamed: number, failed: number } }}
+ */
+const createDocStreamer = () => {
+  const runTime = new Date().toISOString();
+  let count = { streamed: 0, failed: 0 };
+  const streamDocs = async (docArray) => {
+    const results = await Promise.allSettled(
+      docArray.map((doc) => streamDocSnapshotToBuffer(doc, `${backfillEventIdPrefix}${runTime}_${doc.id}`))
+    );
+    for (const result of results) {
+      if (result.status === "fulfilled") {
+        count.streamed++;
+      } else {
+        count.failed++;
+        console.error("Error occurred when streaming doc.", result.reason?.message);
+      }
+    }
+  };
+
+  return { streamDocs, count };
+};
+
+/**
+ * Re-stream docs of a table to its buffer table, so that the next sync fills columns added to the schema after
+ * the docs were streamed (their values were dropped as extra fields). With column names, only docs having these
+ * columns as extra fields in the warning log are read; otherwise all docs of the table are read.
+ * @param {string} tableName
+ * @param  {...string} columnNameArray Columns added to the schema
+ */
+export const backfillTable = async (tableName, ...columnNameArray) => {
+  if (!tableConfigMap[tableName]) {
+    console.log(`Table "${tableName}" not found in table configs.`);
+    return;
+  }
+
+  const { streamDocs, count } = createDocStreamer();
+  if (columnNameArray.length === 0) {
+    await forEachDocPageOfTable(tableName, streamDocs);
+    console.log(`Backfilled table ${tableName}: ${count.streamed} doc(s) streamed, ${count.failed} failed.`);
+    return;
+  }
+
+  const query = `
+    SELECT DISTINCT docId
+    FROM ${extraFieldWarningsSource}
+    WHERE targetTable = @tableName AND ${extraFieldCondition} AND warning.columnName IN UNNEST(@columnNameArray);
+  `;
+  const [rows] = await bigquery.query({ query, params: { tableName, columnNameArray } });
+  const docIdSet = new Set(rows.map((row) => row.docId));
+  console.log(`Found ${docIdSet.size} doc(s) with columns ${columnNameArray.join(", ")} in warning logs.`);
+  if (docIdSet.size === 0) return;
+
+  const { collectionName } = tableConfigMap[tableName];
+  if (collectionName) {
+    const docIdArray = [...docIdSet];
+    for (let i = 0; i < docIdArray.length; i += firestorePageSize) {
+      const docRefArray = docIdArray.slice(i, i + firestorePageSize).map((docId) => db.collection(collectionName).doc(docId));
+      const docArray = await db.getAll(...docRefArray);
+      await streamDocs(docArray.filter((doc) => doc.exists));
+    }
+  } else {
+    // Warning logs keep doc ids only, so docs of subcollections are found by reading all of them
+    await forEachDocPageOfTable(tableName, (docArray) => streamDocs(docArray.filter((doc) => docIdSet.has(doc.id))));
+  }
+
+  console.log(`Backfilled table ${tableName}: ${count.streamed} doc(s) streamed, ${count.failed} failed.`);
+};
+
+/**
+ * Load all docs of a table's collection to its buffer table, e.g. to seed a new target table. Docs are converted the
+ * same way as streamed docs, and the next sync merges them into the target table. Progress is saved to
+ * "./temp/snapshots/<table name>.json" after each page, so an interrupted run resumes after the last saved doc.
+ * @param {string} tableName
+ */
+export const snapshotCollection = async (tableName) => {
+  if (!tableConfigMap[tableName]) {
+    console.log(`Table "${tableName}" not found in table configs.`);
+    return;
+  }
+
+  const progressFilePath = `./temp/snapshots/${tableName}.json`;
+  let progress = { lastDocPath: null, streamed: 0, failed: 0, completed: false };
+  try {
+    const savedProgress = JSON.parse(await fs.readFile(progressFilePath));
+    if (!savedProgress.completed) {
+      progress = savedProgress;
+      console.log(`Resuming snapshot of table ${tableName} after doc "${progress.lastDocPath}".`);
+    }
+  } catch {
+    // No saved progress. Start from the first doc.
+  }
+
+  const countSnapshot = await getTableDocsQuery(tableName).count().get();
+  const totalCount = countSnapshot.data().count;
+
+  await fs.mkdir("./temp/snapshots", { recursive: true });
+  const { streamDocs, count } = createDocStreamer();
+  await forEachDocPageOfTable(
+    tableName,
+    async (docArray, lastDocPath) => {
+      await streamDocs(docArray);
+      progress = {
+        lastDocPath,
+        streamed: progress.streamed + count.streamed,
+        failed: progress.failed + count.failed,
+        completed: false,
+      };
+      count.streamed = 0;
+      count.failed = 0;
+      await fs.writeFile(progressFilePath, JSON.stringify(progress, null, 2));
+      console.log(`Table ${tableName}: ${progress.streamed} of ${totalCount} doc(s) streamed, ${progress.failed} failed.`);
+    },
+    progress.lastDocPath
+  );
+
+  progress.completed = true;
+  await fs.writeFile(progressFilePath, JSON.stringify(progress, null, 2));
+  console.log(`Finished snapshot of table ${tableName}. Rows will be merged into the target table by the next sync.`);
+};
+
+/**
+ * Get the primary keys of the rows a doc is converted to, for tables with an `explode` rule or a row expander.
+ * @param {string} tableName
+ * @param {object} doc Document snapshot
+ * @param {object} route Route of the doc, from `getDocumentRoute`
+ * @returns {Set<string>} Primary key values of each row, joined by "|"
+ */
+const getExpandedRowKeySet = (tableName, doc, route) => {
+  const { explode, rowExpander, primaryKey } = tableConfigMap[tableName];
+  const [docData] = cleanupFieldsData(tableName, toEventValue(doc.data()).mapValue.fields || {});
+  const rowObjArray = explode ? explodeDocument(docData, explode) : rowExpanders[rowExpander](docData);
+  return new Set(
+    rowObjArray.map((rowObj) => {
+      const fullRowObj = { docId: route.docId, ...rowObj, ...route.pathFields };
+      return primaryKey.map((columnName) => String(fullRowObj[columnName] ?? "")).join("|");
+    })
+  );
+};
+
+const sampleSize = 10;
+const isSameSet = (setA, setB) => setA.size === setB.size && setA.isSubsetOf(setB); // Need Node v22 for isSubsetOf
+
+/**
+ * Compare docs in Firestore with rows of a target table. A doc is "missing" if the table has no rows of it, "stale" if
+ * its `updatedAt` differs from the doc's update time (or, for tables with an `explode` rule or row expander, if the
+ * rows' primary keys differ, e.g. tubes of a box), and rows of docs not in Firestore are "extra".
+ * Counts and samples are saved to "./temp/consistency/<table name>.json". With "repair", missing and stale docs are
+ * re-streamed and extra docs are marked as deleted in the buffer table, to be fixed by the next sync.
+ * @param {string} tableName
+ * @param {string} [repair] Pass "repair" to enqueue repairs through the buffer table
+ */
+export const checkTableConsistency = async (tableName, repair) => {
+  if (!tableConfigMap[tableName]) {
+    console.log(`Table "${tableName}" not found in table configs.`);
+    return;
+  }
+
+  const { pathPattern, explode, rowExpander, primaryKey } = tableConfigMap[tableName];
+  const isExpanded = Boolean(explode || rowExpander);
+  const pathFieldNames = [...(pathPattern || "").matchAll(/\{(\w+)\}/g)]
+    .map((match) => match[1])
+    .filter((fieldName) => fieldName !== "docId");
+  const getDocKey = (docId, pathFields) => [...pathFieldNames.map((fieldName) => pathFields[fieldName]), docId].join("/");
+
+  // Latest `updatedAt` and row keys of each doc in BigQuery
+  const keyColumnNames = [...new Set(["docId", ...pathFieldNames, ...primaryKey])];
+  const [rows] = await bigquery.query(
+    `SELECT ${keyColumnNames.join(", ")}, updatedAt FROM ${datasetName}.${tableName} WHERE ${getCurrentRowCondition(tableName)};`
+  );
+  let bigQueryDocMap = new Map();
+  for (const row of rows) {
+    const pathFields = Object.fromEntries(pathFieldNames.map((fieldName) => [fieldName, row[fieldName]]));
+    const docKey = getDocKey(row.docId, pathFields);
+    if (!bigQueryDocMap.has(docKey)) {
+      bigQueryDocMap.set(docKey, { docId: row.docId, pathFields, updatedAt: row.updatedAt, rowKeySet: new Set() });
+    }
+
+    const bigQueryDoc = bigQueryDocMap.get(docKey);
+    if (row.updatedAt > bigQueryDoc.updatedAt) bigQueryDoc.updatedAt = row.updatedAt;
+    bigQueryDoc.rowKeySet.add(primaryKey.map((columnName) => String(row[columnName] ?? "")).join("|"));
+  }
+
+  let result = { firestoreDocs: 0, bigQueryDocs: bigQueryDocMap.size, missing: [], stale: [], extra: [] };
+  let docPathsToRepair = [];
+  await forEachDocPageOfTable(tableName, async (docArray) => {
+    for (const doc of docArray) {
+      result.firestoreDocs++;
+      const route = getDocumentRoute(doc.ref.path);
+      const docKey = getDocKey(route.docId, route.pathFields);
+      const bigQueryDoc = bigQueryDocMap.get(docKey);
+      bigQueryDocMap.delete(docKey);
+      const updatedAt = doc.updateTime.toDate().toISOString();
+      const rowKeySet = isExpanded ? getExpandedRowKeySet(tableName, doc, route) : null;
+
+      if (!bigQueryDoc) {
+        if (isExpanded && rowKeySet.size === 0) continue; // Docs without child rows have no rows in the table
+        result.missing.push(docKey);
+        docPathsToRepair.push(doc.ref.path);
+      } else if (bigQueryDoc.updatedAt !== updatedAt || (isExpanded && !isSameSet(rowKeySet, bigQueryDoc.rowKeySet))) {
+        result.stale.push(docKey);
+        docPathsToRepair.push(doc.ref.path);
+      }
+    }
+  });
+
+  // Docs left in the map are in BigQuery only
+  const extraDocArray = [...bigQueryDocMap.values()];
+  result.extra = extraDocArray.map(({ docId, pathFields }) => getDocKey(docId, pathFields));
+
+  const summary = {
+    tableName,
+    checkedAt: new Date().toISOString(),
+    firestoreDocs: result.firestoreDocs,
+    bigQueryDocs: result.bigQueryDocs,
+    missingCount: result.missing.length,
+    staleCount: result.stale.length,
+    extraCount: result.extra.length,
+    missingSamples: result.missing.slice(0, sampleSize),
+    staleSamples: result.stale.slice(0, sampleSize),
+    extraSamples: result.extra.slice(0, sampleSize),
+  };
+  await fs.mkdir("./temp/consistency", { recursive: true });
+  await fs.writeFile(`./temp/consistency/${tableName}.json`, JSON.stringify({ ...summary, ...result }, null, 2));
+  console.log(summary);
+
+  if (repair !== "repair") return;
+  const { streamDocs, count } = createDocStreamer();
+  for (let i = 0; i < docPathsToRepair.length; i += firestorePageSize) {
+    const docRefArray = docPathsToRepair.slice(i, i + firestorePageSize).map((docPath) => db.doc(docPath));
+    const docArray = await db.getAll(...docRefArray);
+    await streamDocs(docArray.filter((doc) => doc.exists));
+  }
+
+  const runTime = new Date().toISOString();
+  await Promise.allSettled(
+    extraDocArray.map(({ docId, pathFields }) =>
+      streamDelete(tableName, docId, `${backfillEventIdPrefix}${runTime}_${docId}`, pathFields)
+    )
+  );
+  console.log(
+    `Repairs of table ${tableName} enqueued: ${count.streamed} doc(s) re-streamed, ${count.failed} failed, ` +
+      `${extraDocArray.length} doc(s) marked as deleted. The next sync applies them.`
+  );
+};
+
+/**
+ * Remove soft-deleted rows, deleted longer ago than the retention window, from tables in soft-delete mode and their
+ * child tables.
+ * @param {string} [retainDays] Defaults to `softDeletedRowsRetainDays` in settings.js
+ */
+export const purgeSoftDeletedRows = async (retainDays = softDeletedRowsRetainDays) => {
+  const days = Number(retainDays);
+  if (!Number.isInteger(days) || days < 0) {
+    console.log(`Invalid number of days to retain soft-deleted rows: ${retainDays}`);
+    return;
+  }
+
+  for (const tableName in allSchemas) {
+    if (getSyncMode(tableName) !== "softDelete") continue;
+    const query = `
+      DELETE FROM ${datasetName}.${tableName}
+      WHERE isDeleted IS TRUE AND deletedAt < TIMESTAMP_SUB(CURRENT_TIMESTAMP(), INTERVAL ${days} DAY);
+    `;
+    const [job] = await bigquery.createQueryJob({ query });
+    await job.getQueryResults();
+    const [metadata] = await job.getMetadata();
+    const deletedRowCount = metadata.statistics?.query?.numDmlAffectedRows ?? 0;
+    console.log(`Purged ${deletedRowCount} soft-deleted row(s) from table ${tableName}.`);
+  }
+};
+
+// Rows streamed to a table in the last 90 minutes may still be in its streaming buffer, where DML can't change them
+const streamingBufferMinutes = 90;
+
+/**
+ * Parse `errorDetails` of the error log back to an error for `classifyError`, for rows saved before `errorClass`.
+ * @param {string} errorDetails
+ * @returns {object}
+ */
+const parseErrorDetails = (errorDetails) => {
+  try {
+    const errors = JSON.parse(errorDetails);
+    return Array.isArray(errors) ? { errors } : { message: errorDetails };
+  } catch {
+    return { message: errorDetails || "" };
+  }
+};
+
+/**
+ * Check a buffer row saved in the error log against the current schema of its table. Fields no longer in the schema
+ * and values no longer fitting their columns are dropped, the same way as for streamed docs.
+ * @param {string} tableName
+ * @param {object} rowObj
+ * @returns {[object|null, string]} Row to insert, or null with the reason it can't be inserted
+ */
+const revalidateBufferRow = (tableName, rowObj) => {
+  if (!allSchemas[tableName]) return [null, `Schema not found for table "${tableName}".`];
+  if (!rowObj?.docId || !rowObj.eventId) return [null, "Data isn't a buffer row."];
+
+  const [coercedRowObj] = tableConfigMap[tableName]?.nested
+    ? coerceNestedDataToSchema(tableName, rowObj)
+    : coerceDataToSchema(tableName, rowObj);
+  const { isDeleted, eventId, commitTime } = rowObj;
+  return [{ ...coercedRowObj, isDeleted, eventId, commitTime, bufferedAt: new Date().toISOString() }, ""];
+};
+
+/**
+ * Insert rows of failed buffer inserts, saved in the error log, to buffer tables again, after checking them against
+ * current schemas. Each error row is marked with `replayStatus` ("REPLAYED", "FAILED_AGAIN" or "INVALID", with the
+ * error in `replayDetails`), `replayId` of the attempt and `replayedAt`. Rows marked "FAILED_AGAIN" are retried by later
+ * runs; rows marked "INVALID" (e.g. without `eventId`, or of a table without a schema) never can be and are skipped.
+ * Rows get the insert id of their original event, so BigQuery drops them if a redelivered event already wrote them.
+ * Errors saved in the last 90 minutes are left for a later run, as BigQuery can't update their rows yet.
+ * @param {string} [tableName] Buffer table of the failed inserts, or "all"
+ * @param {string} [errorClass] Class of the errors (see `classifyError` in utils.js), or "all"
+ * @param {string} [fromTime] Replay errors saved at or after this time
+ * @param {string} [toTime] Replay errors saved before this time
+ */
+export const replayErrors = async (tableName = "all", errorClass = "all", fromTime = "", toTime = "") => {
+  if ([fromTime, toTime].some((time) => time && isNaN(Date.parse(time)))) {
+    console.log(`Invalid time range: ${fromTime} - ${toTime}`);
+    return;
+  }
+
+  const replayId = `replay_${new Date().toISOString()}`;
+  const safeTime = new Date(Date.now() - streamingBufferMinutes * 60 * 1000).toISOString();
+  const fromTimeStr = fromTime ? new Date(fromTime).toISOString() : "";
+  const toTimeStr = toTime && new Date(toTime).toISOString() < safeTime ? new Date(toTime).toISOString() : safeTime;
+
+  // Error rows saved before `errorId` was added get one, so that they can be marked
+  await bigquery.query({
+    query: `UPDATE ${datasetName}.${errorLogTableName} SET errorId = GENERATE_UUID() WHERE errorId IS NULL AND errorTime < @toTime;`,
+    params: { toTime: toTimeStr },
+  });
+
+  const conditionArray = [
+    `operation IN ("INSERT", "DELETE")`,
+    "data IS NOT NULL",
+    `(replayStatus IS NULL OR replayStatus = "FAILED_AGAIN")`,
+    "errorTime >= @fromTime",
+    "errorTime < @toTime",
+  ];
+  let params = { fromTime: fromTimeStr, toTime: toTimeStr };
+  if (tableName !== "all") {
+    conditionArray.push("targetTable = @tableName");
+    params.tableName = tableName;
+  }
+
+  const [errorRowArray] = await bigquery.query({
+    query: `
+      SELECT errorId, targetTable, operation, data, errorClass, errorDetails
+      FROM ${datasetName}.${errorLogTableName}
+      WHERE ${conditionArray.join(" AND ")}
+      ORDER BY errorTime;
+    `,
+    params,
+  });
+
+  let outcomeArray = [];
+  let rowEntryArrayMap = new Map();
+  for (const errorRow of errorRowArray) {
+    const currErrorClass = errorRow.errorClass || classifyError(parseErrorDetails(errorRow.errorDetails));
+    if (errorClass !== "all" && currErrorClass !== errorClass) continue;
+
+    let rowObj = null;
+    try {
+      rowObj = JSON.parse(errorRow.data);
+    } catch {
+      // Left as null, reported below
+    }
+
+    const [validRowObj, reason] = revalidateBufferRow(errorRow.targetTable, rowObj);
+    if (!validRowObj) {
+      outcomeArray.push({ errorId: errorRow.errorId, status: "INVALID", details: reason });
+      continue;
+    }
+
+    const insertId = getBufferInsertId(errorRow.targetTable, errorRow.operation, validRowObj);
+    if (!rowEntryArrayMap.has(errorRow.targetTable)) rowEntryArrayMap.set(errorRow.targetTable, []);
+    rowEntryArrayMap.get(errorRow.targetTable).push({ errorId: errorRow.errorId, insertId, json: validRowObj });
+  }
+
+  for (const [currTableName, rowEntryArray] of rowEntryArrayMap) {
+    for (let i = 0; i < rowEntryArray.length; i += bufferInsertBatchSize) {
+      const rowEntryBatch = rowEntryArray.slice(i, i + bufferInsertBatchSize);
+      const rawRows = rowEntryBatch.map(({ insertId, json }) => ({ insertId, json }));
+      let failedDetailsMap = new Map();
+      try {
+        await bigquery.dataset(bufferDatasetName).table(currTableName).insert(rawRows, { raw: true, skipInvalidRows: true });
+      } catch (error) {
+        const rowErrorArray =
+          error.name === "PartialFailureError"
+            ? error.errors.map(({ row, errors }) => ({ index: rawRows.indexOf(row), errors }))
+            : rowEntryBatch.map((_, index) => ({ index, errors: [error] }));
+        for (const { index, errors } of rowErrorArray) {
+          const details = `${classifyError({ errors })}: ${errors.map((rowError) => rowError.message).join("; ")}`;
+          failedDetailsMap.set(rowEntryBatch[index].errorId, details);
+        }
+      }
+
+      for (const { errorId } of rowEntryBatch) {
+        const details = failedDetailsMap.get(errorId);
+        outcomeArray.push({ errorId, status: details ? "FAILED_AGAIN" : "REPLAYED", details: details || "" });
+      }
+    }
+  }
+
+  if (outcomeArray.length > 0) {
+    await bigquery.query({
+      query: `
+        UPDATE ${datasetName}.${errorLogTableName} T
+        SET replayStatus = S.status, replayId = @replayId, replayedAt = CURRENT_TIMESTAMP(), replayDetails = S.details
+        FROM UNNEST(@outcomes) S
+        WHERE T.errorId = S.errorId;
+      `,
+      params: { replayId, outcomes: outcomeArray },
+    });
+  }
+
+  const countStatus = (status) => outcomeArray.filter((outcome) => outcome.status === status).length;
+  console.log(
+    `Replay ${replayId}: ${countStatus("REPLAYED")} error row(s) replayed, ${countStatus("FAILED_AGAIN")} failed again, ` +
+      `${countStatus("INVALID")} invalid. The next sync merges the replayed rows.`
+  );
+};
+
 export const changeFieldNames = async (datasetName, tableName, oldAndNewdNameObjArray) => {
   const query = `ALTER TABLE ${datasetName}.${tableName}
   ${oldAndNewdNameObjArray.map(({ oldName, newName }) => `RENAME COLUMN ${oldName} TO ${newName}`).join(", ")};`;
@@ -978,10 +2181,11 @@ export const createRowMap = async (datasetName, tableName, docId, decodedData) =
     return null;
   }
 
-  if (decodedData.updateMask && decodedData.updateMask.fieldPaths.length < ignoredKeys[tableName]?.top.size) {
+  const ignoredTopKeys = tableConfigMap[tableName]?.ignoredKeys.top;
+  if (decodedData.updateMask && decodedData.updateMask.fieldPaths.length < ignoredTopKeys?.size) {
     let ignoredFieldCount = 0;
     for (const fieldName of decodedData.updateMask.fieldPaths) {
-      if (ignoredKeys[tableName].top.has(fieldName)) {
+      if (ignoredTopKeys.has(fieldName)) {
         ignoredFieldCount++;
       }
     }
@@ -991,17 +2195,20 @@ export const createRowMap = async (datasetName, tableName, docId, decodedData) =
     }
   }
 
-  const [flattenedData, warningMsgArray] = cleanupAndFlattenFields(tableName, decodedData.value.fields);
+  const [flattenedData, warningArray, , fieldPathMap] = cleanupAndFlattenFields(tableName, decodedData.value.fields);
   const fieldNamesInData = new Set(Object.keys(flattenedData));
   const fieldNamesInSchema = allTableFieldNameSets[tableName];
   const extraFieldsInData = fieldNamesInData.difference(fieldNamesInSchema); // Need Node v22 for Set difference
-  if (extraFieldsInData.size > 0) {
-    warningMsgArray.push(
-      `Extra ${extraFieldsInData.size} field(s) found in data: ${[...extraFieldsInData].join(", ")}`
-    );
+  for (const fieldName of extraFieldsInData) {
+    const fieldPath = fieldPathMap[fieldName] || fieldName;
+    const valueType = getFirestoreValueType(decodedData.value.fields, fieldPath);
+    const details = { fieldPath, columnName: fieldName, valueType };
+    warningArray.push(createWarning(tableName, "extraField", `Extra field found in data: ${fieldName}`, details));
   }
-  if (warningMsgArray.length > 0) {
-    await saveWarning(datasetName, tableName, docId, flattenedData, warningMsgArray.sort().join("; "));
+  const [coercedData, typeWarningArray] = coerceDataToSchema(tableName, flattenedData);
+  warningArray.push(...typeWarningArray);
+  if (warningArray.length > 0) {
+    await saveWarning(datasetName, tableName, docId, flattenedData, warningArray);
   }
 
   const createTimeMilliseconds =
@@ -1011,7 +2218,7 @@ export const createRowMap = async (datasetName, tableName, docId, decodedData) =
     decodedData.value.updateTime.seconds * 1000 + Math.round(decodedData.value.updateTime.nanos / 1e6);
   const updatedAt = new Date(updateTimeMilliseconds).toISOString();
 
-  const rowObj = { docId, createdAt, updatedAt, ...flattenedData };
+  const rowObj = { docId, createdAt, updatedAt, ...coercedData };
   const rowMap = new Map();
   fieldNamesInSchema.forEach((fieldName) => {
     if (rowObj[fieldName] !== undefined && rowObj[fieldName] !== null) {
@@ -1066,10 +2273,11 @@ export const bufferUpdates = async (tableName, docId, decodedData) => {
     return;
   }
 
-  if (decodedData.updateMask && decodedData.updateMask.fieldPaths.length < ignoredKeys[tableName]?.top.size) {
+  const ignoredTopKeys = tableConfigMap[tableName]?.ignoredKeys.top;
+  if (decodedData.updateMask && decodedData.updateMask.fieldPaths.length < ignoredTopKeys?.size) {
     let ignoredFieldCount = 0;
     for (const fieldName of decodedData.updateMask.fieldPaths) {
-      if (ignoredKeys[tableName].top.has(fieldName)) {
+      if (ignoredTopKeys.has(fieldName)) {
         ignoredFieldCount++;
       }
     }
@@ -1142,10 +2350,11 @@ export const processBoxData = async (datasetName, tableName, docId, decodedData)
     return null;
   }
 
-  if (decodedData.updateMask && decodedData.updateMask.fieldPaths.length < ignoredKeys[tableName]?.top.size) {
+  const ignoredTopKeys = tableConfigMap[tableName]?.ignoredKeys.top;
+  if (decodedData.updateMask && decodedData.updateMask.fieldPaths.length < ignoredTopKeys?.size) {
     let ignoredFieldCount = 0;
     for (const fieldName of decodedData.updateMask.fieldPaths) {
-      if (ignoredKeys[tableName].top.has(fieldName)) {
+      if (ignoredTopKeys.has(fieldName)) {
         ignoredFieldCount++;
       }
     }
@@ -1155,9 +2364,9 @@ export const processBoxData = async (datasetName, tableName, docId, decodedData)
     }
   }
 
-  const [boxData, warningMsgArray] = cleanupFieldsData(tableName, decodedData.value.fields);
-  if (warningMsgArray.length > 0) {
-    await saveWarning(datasetName, tableName, docId, boxData, warningMsgArray.sort().join("; "));
+  const [boxData, warningArray] = cleanupFieldsData(tableName, decodedData.value.fields);
+  if (warningArray.length > 0) {
+    await saveWarning(datasetName, tableName, docId, boxData, warningArray);
   }
 
   const { boxId, siteCid, tubeIdSet, rowObjArray } = flattenBoxData(boxData);
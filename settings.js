@@ -1,30 +1,34 @@
-export const bufferDatasetName = "firestore_stream_buffer"; // Name of the dataset holding the buffer tables. Each buffer table has an additional field `isDeleted` (type BOOLEAN) compared to corresponding target table.
+import tableConfigs from "./tableConfigs.js";
+
+export const bufferDatasetName = "firestore_stream_buffer"; // Name of the dataset holding the buffer tables. Each buffer table has additional fields `isDeleted` (type BOOLEAN), `eventId` (type STRING) and `commitTime` (type STRING) compared to corresponding target table.
 export const bufferRecordsRetainHours = 24; // Number of hours to retain streamed records in buffer tables.
+export const bufferInsertBatchSize = 500; // Max number of rows sent to a buffer table in one insert request.
+export const bufferInsertFlushMilliseconds = 1000; // Max time a row waits in memory before it is inserted to a buffer table.
+export const bufferWriteApi = "insertAll"; // API used to write to buffer tables: "insertAll" (legacy streaming insert) or "storageWrite" (Storage Write API).
+export const writeRetryMaxMilliseconds = 30000; // Max time spent retrying a BigQuery write failing with transient, quota or not-found errors. All writes of an event (buffer rows, warnings, changelog and error rows) share this time from the start of the event. Keep it below the function timeout (60 seconds by default).
+export const storageWriteStreamType = "DEFAULT"; // Storage Write API stream: "DEFAULT" (at-least-once) or "COMMITTED" (rows written at offsets, so a retried append isn't written twice). Both are at-least-once for redelivered events, which the sync deduplicates.
+export const softDeletedRowsRetainDays = 365; // Number of days to keep soft-deleted rows in target tables in soft-delete mode, before "purgeSoftDeletedRows" removes them.
+// Daily time partitioning of buffer tables, target tables and log tables (error, warning and warning counts tables).
+// `field` is a TIMESTAMP or DATE column to partition on (e.g. "updatedAt" where it has one of these types), or null for
+// ingestion time. Partitions older than `expirationDays` are removed; null keeps them. Keep buffer partitions longer
+// than `bufferRecordsRetainHours`. Set a table kind to null to create its tables unpartitioned.
+export const tablePartitioning = {
+  buffer: { field: "bufferedAt", expirationDays: 7 },
+  target: { field: null, expirationDays: null },
+  log: { field: null, expirationDays: 180 },
+};
+export const clusteringColumnNames = ["docId", "tubeID", "Connect_ID"]; // Columns tables are clustered on where their schemas have them, after the primary key columns of the table (4 columns at most).
 export const datasetName = "firestore_stream"; // Name of dataset holding the target tables.
+export const changelogDatasetName = "firestore_stream_changelog"; // Name of dataset holding append-only change history of tables with `changelog` enabled in tableConfigs.js.
 export const errorLogTableName = "error_log"; // Name of table storing errors.
 export const warningLogTableName = "warning_log"; // Name of table storing warnings.
-export const tableNameArray = [
-  "bioSurvey_v1",
-  "biospecimen",
-  "birthdayCard",
-  "boxes",
-  "cancerOccurrence",
-  "cancerScreeningHistorySurvey",
-  "clinicalBioSurvey_v1",
-  "covid19Survey_v1",
-  "experience2024",
-  "kitAssembly",
-  "menstrualSurvey_v1",
-  "module1_v1",
-  "module1_v2",
-  "module2_v1",
-  "module2_v2",
-  "module3_v1",
-  "module4_v1",
-  "mouthwash_v1",
-  "notifications",
-  "participants",
-  "promis_v1",
-]; // Table names in BigQuery (collection names in Firestore)
+export const warningCountsTableName = "warning_counts"; // Name of table storing hourly counts of warnings per table, field and warning type, including warnings left out of the warning log by sampling.
+export const warningSampleLimitPerHour = 10; // Max number of warnings of the same table, field and warning type saved to the warning log per hour by each function instance. Further ones are only counted. Extra field warnings are all saved, as backfills and schema change proposals rely on them, but without doc data past the limit. Set to Infinity to save all warnings.
+export const warningPayload = "full"; // Doc data saved with warnings: "full" (the converted row data), "keys" (its field names only) or "none".
+export const deletedDocsTableName = "deleted_docs"; // Name of table storing the last state of deleted docs.
+export const syncStateTableName = "sync_state"; // Name of table storing the sync watermark of each table, the start time of its last successful sync.
+export const syncWatermarkOverlapMinutes = 10; // Minutes before the last sync watermark from which buffered rows are merged again, covering rows still being inserted when the last sync started.
+export const schemaEvolutionAllowedTables = []; // Tables whose new columns found in warning logs are added by "applySchemaChanges" without naming them in the command.
+export const tableNameArray = Object.keys(tableConfigs); // Table names in BigQuery. Collections streamed to the tables are set in tableConfigs.js
 
 export const collectionNameArray = tableNameArray;
@@ -0,0 +1,158 @@
+import { adapt, managedwriter } from "@google-cloud/bigquery-storage";
+import { bufferDatasetName, storageWriteStreamType } from "./settings.js";
+
+const { WriterClient, JSONWriter, CommittedStream, DefaultStream } = managedwriter;
+const alreadyExistsCode = 6; // gRPC status returned when rows at the given offset were already appended
+
+let writerClient = null;
+const bufferStreams = new Map();
+
+/**
+ * Open a write stream to a buffer table and build a JSON writer from the table schema.
+ * @param {string} tableName
+ * @returns {Promise<object>} Stream state: writer, connection, date/time columns, next offset and append queue
+ */
+const openBufferStream = async (tableName) => {
+  if (!writerClient) {
+    writerClient = new WriterClient();
+  }
+
+  const projectId = await writerClient.getClient().getProjectId();
+  const destinationTable = `projects/${projectId}/datasets/${bufferDatasetName}/tables/${tableName}`;
+  const streamId =
+    storageWriteStreamType === CommittedStream
+      ? await writerClient.createWriteStream({ streamType: CommittedStream, destinationTable })
+      : DefaultStream;
+  const connection = await writerClient.createStreamConnection({ streamId, destinationTable });
+  const writeStream = await writerClient.getWriteStream({ streamId: connection.getStreamId(), view: "FULL" });
+  const protoDescriptor = adapt.convertStorageSchemaToProto2Descriptor(writeStream.tableSchema, "root");
+  const dateTimeFields = pickDateTimeFields(writeStream.tableSchema.fields);
+
+  return {
+    connection,
+    writer: new JSONWriter({ connection, protoDescriptor }),
+    dateTimeFields,
+    offset: 0,
+    queue: Promise.resolve(),
+  };
+};
+
+const closeBufferStream = async (tableName) => {
+  const streamPromise = bufferStreams.get(tableName);
+  bufferStreams.delete(tableName);
+  try {
+    const stream = await streamPromise;
+    stream?.writer.close();
+  } catch (error) {
+    console.error(`Error occurred when closing write stream of table "${tableName}".`, error.message);
+  }
+};
+
+/**
+ * Keep only TIMESTAMP and DATE columns of a schema, and RECORD columns having them (tables in nested mode).
+ * @param {object[]} fieldArray Fields of the write stream's table schema
+ * @returns {object[]}
+ */
+const pickDateTimeFields = (fieldArray = []) =>
+  fieldArray.flatMap((field) => {
+    const type = String(field.type);
+    if (["TIMESTAMP", "DATE"].includes(type)) return [{ name: field.name, isRepeated: String(field.mode) === "REPEATED" }];
+    if (type !== "STRUCT") return [];
+    const subFields = pickDateTimeFields(field.fields);
+    return subFields.length > 0 ? [{ name: field.name, isRepeated: String(field.mode) === "REPEATED", subFields }] : [];
+  });
+
+/**
+ * The JSON writer expects Date objects for TIMESTAMP and DATE columns, while rows carry ISO strings.
+ * @param {object} rowObj
+ * @param {object[]} dateTimeFields From `pickDateTimeFields`
+ */
+const convertDateTimeValues = (rowObj, dateTimeFields) => {
+  let convertedRowObj = { ...rowObj };
+  for (const { name, isRepeated, subFields } of dateTimeFields) {
+    const convertValue = (value) => {
+      if (subFields) return value && typeof value === "object" ? convertDateTimeValues(value, subFields) : value;
+      return typeof value === "string" ? new Date(value) : value;
+    };
+    const value = convertedRowObj[name];
+    if (value === null || value === undefined) continue;
+    convertedRowObj[name] = isRepeated && Array.isArray(value) ? value.map(convertValue) : convertValue(value);
+  }
+
+  return convertedRowObj;
+};
+
+/**
+ * Append rows to a buffer table. In a committed stream, rows are written at tracked offsets, so a repeated append
+ * of the same rows to the stream is rejected by BigQuery. Rows of a redelivered event are appended again (another
+ * instance or a new stream), so writes are at-least-once either way, and duplicates are dropped by the sync.
+ * If some rows are invalid, BigQuery rejects the whole request, so the valid rows are appended again on their own.
+ * @param {object} stream
+ * @param {object[]} rowObjArray
+ * @returns {Promise<object[]>} Rejected rows with their errors, in the shape of PartialFailureError's `errors`
+ */
+const appendToStream = async (stream, rowObjArray) => {
+  const convertedRowArray = rowObjArray.map((rowObj) => convertDateTimeValues(rowObj, stream.dateTimeFields));
+  const offset = storageWriteStreamType === CommittedStream ? stream.offset : undefined;
+  const result = await stream.writer.appendRows(convertedRowArray, offset).getResult();
+  const rowErrors = result.rowErrors || [];
+
+  if (rowErrors.length > 0) {
+    const failedIndexSet = new Set(rowErrors.map((rowError) => Number(rowError.index)));
+    const failedRows = rowErrors.map((rowError) => ({
+      row: rowObjArray[Number(rowError.index)],
+      errors: [{ message: rowError.message, reason: String(rowError.code) }],
+    }));
+    const validRowObjArray = rowObjArray.filter((_, index) => !failedIndexSet.has(index));
+    if (validRowObjArray.length === 0) return failedRows;
+
+    return [...failedRows, ...(await appendToStream(stream, validRowObjArray))];
+  }
+
+  if (result.error && result.error.code !== alreadyExistsCode) {
+    const error = new Error(result.error.message);
+    error.code = result.error.code; // gRPC status code, used to classify the error
+    throw error;
+  }
+
+  stream.offset += rowObjArray.length;
+  return [];
+};
+
+/**
+ * Insert rows to a buffer table using the Storage Write API. Appends to the same table are queued, so offsets
+ * of a committed stream stay in order. Throws an error like BigQuery's PartialFailureError if some rows are rejected.
+ * @param {string} tableName
+ * @param {object[]} rowObjArray
+ */
+export const insertRowsWithStorageWrite = async (tableName, rowObjArray) => {
+  if (!bufferStreams.has(tableName)) {
+    bufferStreams.set(tableName, openBufferStream(tableName));
+  }
+
+  let stream;
+  try {
+    stream = await bufferStreams.get(tableName);
+  } catch (error) {
+    bufferStreams.delete(tableName);
+    throw error;
+  }
+
+  const appendPromise = stream.queue.then(() => appendToStream(stream, rowObjArray));
+  stream.queue = appendPromise.catch(() => {});
+
+  let failedRows;
+  try {
+    failedRows = await appendPromise;
+  } catch (error) {
+    await closeBufferStream(tableName); // Offsets are unknown after a failed append. Open a new stream next time.
+    throw error;
+  }
+
+  if (failedRows.length > 0) {
+    const error = new Error(`${failedRows.length} row(s) rejected by Storage Write API.`);
+    error.name = "PartialFailureError";
+    error.errors = failedRows;
+    throw error;
+  }
+};
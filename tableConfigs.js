@@ -0,0 +1,181 @@
+import arraysToBeFlattened from "./arraysToBeFlattened.js";
+
+/**
+ * Streaming configuration of each table in BigQuery, keyed by table name. Options (all optional):
+ * - collection: Firestore collection streamed to the table. Defaults to the table name.
+ * - pathPattern: Document path pattern for a subcollection, e.g. "participants/{participantDocId}/notes/{docId}".
+ *   `{docId}` marks the document id; other placeholders are saved to columns of the same name, and the full path is
+ *   saved to `docPath` if the schema has it. Can't be used together with `collection`.
+ * - ignoredKeys: `{ top: [], nested: [] }` Keys skipped at the top level and at nested levels of documents.
+ * - mixedStringAndObjectFields: Fields holding either strings or maps. String values go to `<field>_string` columns.
+ * - oneHotArrays: Arrays converted to one-hot columns, as `{ <field path>: [<cid>, ...] }`.
+ * - explode: Rule converting one document to multiple rows, one per child item (see `explodeDocument` in utils.js):
+ *   `carry` lists document fields copied to every row; `each` lists the levels iterated from the document down to
+ *   child items (`{ keys, as }` or `{ path, as, keyAs }`); `emit` maps child columns to a path like "<as>.<field>",
+ *   `{ coalesce: [paths], default }` or `{ label: { <path>: <label> }, default }`. Set `primaryKey` to the columns
+ *   identifying a child row.
+ * - rowExpander: Name of a custom row expander (see `rowExpanders` in utils.js), for documents that can't be
+ *   converted by an `explode` rule. Can't be used together with `explode`.
+ * - primaryKey: Columns identifying a row in the target table. Defaults to ["docId"], or to the path placeholder
+ *   columns and "docId" for tables with `pathPattern`, whose primary keys must include the path placeholder columns.
+ * - childTables: Arrays streamed to separate child tables, as `{ <field path>: <child table name> }`. Each array item
+ *   becomes a row with `docId`, the parent's primary key and path placeholder columns, `arrayIndex` and the item's
+ *   flattened fields (or `value` for scalar items), and is identified by these key columns and `arrayIndex`. Child
+ *   tables need schemas in tableSchemas.js, starting with docId, createdAt, updatedAt and arrayIndex and having the
+ *   key columns, and are synced together with the parent table. Can't be used together with `explode` or `rowExpander`.
+ * - nested: Set to `true` to keep Firestore maps and arrays as RECORD and REPEATED columns instead of flattening them
+ *   into `<field>_<key>` columns, e.g. for survey tables that would otherwise exceed column limits. Can't be used
+ *   together with `explode`, `rowExpander`, `childTables` or `oneHotArrays`.
+ * - changelog: Set to `true` to also append each change of a doc (operation, event time, changed field paths and the
+ *   full row) to a table of the same name in the changelog dataset (see settings.js), keeping its history. Can't be
+ *   used together with `explode`, `rowExpander` or `nested`.
+ * - syncMode: How buffered changes are applied to the target table. "overwrite" (default) keeps the latest version of
+ *   each row; "scd2" keeps every version with `valid_from`/`valid_to` columns (SCD Type 2), the current version having
+ *   `valid_to` null, and can't be set together with `explode` or `rowExpander`; "softDelete" keeps deleted rows with
+ *   `isDeleted`/`deletedAt` columns set (also for child tables). Run `createCurrentViews` for views of current rows.
+ *
+ * Run `node localRun.js --entry validateTableConfigs` to check the configuration against tableSchemas.js.
+ */
+const surveyIgnoredKeys = { top: ["treeJSON", "sha"] };
+
+export default {
+  bioSurvey_v1: {
+    ignoredKeys: surveyIgnoredKeys,
+    oneHotArrays: arraysToBeFlattened.bioSurvey_v1,
+  },
+  biospecimen: {},
+  birthdayCard: {},
+  boxes: {
+    // One row per tube. Tubes are listed in bags, which are stored under fixed keys of a box doc.
+    explode: {
+      carry: [
+        "d_672863981",
+        "d_560975149",
+        "d_842312685",
+        "d_132929440",
+        "d_789843387",
+        "d_555611076",
+        "d_145971562",
+        "d_959708259",
+        "d_948887825",
+        "d_666553960",
+        "d_885486943",
+        "d_656548982",
+        "d_105891443",
+        "d_238268405",
+        "d_870456401",
+        "d_926457119",
+        "d_333524031",
+      ],
+      each: [
+        {
+          keys: [
+            "d_650224161",
+            "d_136341211",
+            "d_503046679",
+            "d_313341808",
+            "d_668816010",
+            "d_754614551",
+            "d_174264982",
+            "d_550020510",
+            "d_673090642",
+            "d_492881559",
+            "d_536728814",
+            "d_309413330",
+            "d_357218702",
+            "d_945294744",
+            "d_741697447",
+          ],
+          as: "bag",
+        },
+        { path: "d_234868461", as: "tubeID" },
+      ],
+      emit: {
+        bagID: { coalesce: ["bag.d_787237543", "bag.d_223999569", "bag.d_522094118"] },
+        bagType: {
+          label: { "bag.d_787237543": "Blood/Urine", "bag.d_223999569": "Mouth wash", "bag.d_522094118": "Orphan bag" },
+          default: "",
+        },
+        d_469819603: { coalesce: ["bag.d_469819603"], default: "" },
+        d_255283733: "bag.d_255283733",
+        tubeID: "tubeID",
+      },
+    },
+    primaryKey: ["tubeID"],
+  },
+  cancerOccurrence: {},
+  cancerScreeningHistorySurvey: {
+    ignoredKeys: surveyIgnoredKeys,
+    oneHotArrays: arraysToBeFlattened.cancerScreeningHistorySurvey,
+  },
+  clinicalBioSurvey_v1: {
+    ignoredKeys: surveyIgnoredKeys,
+    oneHotArrays: arraysToBeFlattened.clinicalBioSurvey_v1,
+  },
+  covid19Survey_v1: {
+    ignoredKeys: surveyIgnoredKeys,
+    mixedStringAndObjectFields: ["D_114280729", "D_749956170"],
+    oneHotArrays: arraysToBeFlattened.covid19Survey_v1,
+  },
+  experience2024: {
+    ignoredKeys: surveyIgnoredKeys,
+    oneHotArrays: arraysToBeFlattened.experience2024,
+  },
+  kitAssembly: {},
+  menstrualSurvey_v1: {
+    ignoredKeys: surveyIgnoredKeys,
+  },
+  module1_v1: {
+    ignoredKeys: surveyIgnoredKeys,
+    oneHotArrays: arraysToBeFlattened.module1_v1,
+  },
+  module1_v2: {
+    ignoredKeys: surveyIgnoredKeys,
+    oneHotArrays: arraysToBeFlattened.module1_v2,
+  },
+  module2_v1: {
+    ignoredKeys: surveyIgnoredKeys,
+    oneHotArrays: arraysToBeFlattened.module2_v1,
+  },
+  module2_v2: {
+    ignoredKeys: surveyIgnoredKeys,
+    mixedStringAndObjectFields: ["D_128705365"],
+    oneHotArrays: arraysToBeFlattened.module2_v2,
+  },
+  module3_v1: {
+    ignoredKeys: surveyIgnoredKeys,
+    mixedStringAndObjectFields: ["D_470862706", "D_633553324"],
+    oneHotArrays: arraysToBeFlattened.module3_v1,
+  },
+  module4_v1: {
+    ignoredKeys: surveyIgnoredKeys,
+    mixedStringAndObjectFields: ["D_135529881", "D_219317801", "D_440093675", "D_679430807", "D_786253125", "D_968388901"],
+    oneHotArrays: arraysToBeFlattened.module4_v1,
+  },
+  mouthwash_v1: {
+    ignoredKeys: surveyIgnoredKeys,
+    oneHotArrays: arraysToBeFlattened.mouthwash_v1,
+  },
+  notifications: {},
+  participants: {
+    ignoredKeys: {
+      top: [
+        "query",
+        "unverifiedSeen",
+        "utm_id",
+        "utm_source",
+        "verifiedSeen",
+        "firstSurveyCompletedSeen",
+        "569151507",
+        "Module2",
+        "D_726699695_V2",
+        "D_166676176",
+        "uid",
+      ],
+      nested: ["treeJSON", "COMPLETED", "COMPLETED_TS", "sha", "110349197", "543608829"],
+    },
+  },
+  promis_v1: {
+    ignoredKeys: surveyIgnoredKeys,
+  },
+};
@@ -1,3 +1,10 @@
+/**
+ * Schemas of target tables in BigQuery. Each field is `{ name, type }`, where `type` is one of:
+ * STRING, INT64, FLOAT64, NUMERIC, BOOL, TIMESTAMP, DATE, JSON (legacy names INTEGER, FLOAT and BOOLEAN also work).
+ * Streamed values are coerced to these types; values that can't be coerced are left out of the row and reported
+ * in the warning log. Tables in nested mode (see tableConfigs.js) can also have RECORD columns, with sub-fields in
+ * `fields`, and arrays as `mode: "REPEATED"`.
+ */
 export default {
   bioSurvey_v1: [
     {
@@ -1,92 +1,335 @@
+import { randomUUID } from "node:crypto";
 import { BigQuery } from "@google-cloud/bigquery";
-import { bufferDatasetName, bufferRecordsRetainHours, datasetName, errorLogTableName, warningLogTableName, tableNameArray } from "./settings.js";
+import {
+  bufferDatasetName,
+  bufferInsertBatchSize,
+  bufferInsertFlushMilliseconds,
+  bufferRecordsRetainHours,
+  bufferWriteApi,
+  changelogDatasetName,
+  datasetName,
+  errorLogTableName,
+  warningLogTableName,
+  warningCountsTableName,
+  warningPayload,
+  warningSampleLimitPerHour,
+  deletedDocsTableName,
+  syncStateTableName,
+  syncWatermarkOverlapMinutes,
+  tableNameArray,
+  writeRetryMaxMilliseconds,
+} from "./settings.js";
 import allSchemas from "./tableSchemas.js";
-import arraysToBeFlattened from "./arraysToBeFlattened.js";
+import tableConfigs from "./tableConfigs.js";
+import { insertRowsWithStorageWrite } from "./storageWriter.js";
 
 export const bigquery = new BigQuery();
-const mixedStringAndObjectTypes = {
-  covid19Survey_v1: new Set(["D_114280729", "D_749956170"]),
-  module2_v2: new Set(["D_128705365"]),
-  module3_v1: new Set(["D_470862706", "D_633553324"]),
-  module4_v1: new Set(["D_135529881", "D_219317801", "D_440093675", "D_679430807", "D_786253125", "D_968388901"]),
-};
 
 export let allTableFieldNameSets = {};
+export let allTableFieldTypeMaps = {};
 for (const tableName in allSchemas) {
   allTableFieldNameSets[tableName] = new Set(allSchemas[tableName].map((field) => field.name));
+  allTableFieldTypeMaps[tableName] = new Map(allSchemas[tableName].map((field) => [field.name, field.type]));
 }
 
+const tableConfigOptionNames = new Set([
+  "collection",
+  "pathPattern",
+  "ignoredKeys",
+  "mixedStringAndObjectFields",
+  "oneHotArrays",
+  "explode",
+  "rowExpander",
+  "primaryKey",
+  "childTables",
+  "nested",
+  "changelog",
+  "syncMode",
+]);
+const syncModes = new Set(["overwrite", "scd2", "softDelete"]);
+const isStringArray = (value) => Array.isArray(value) && value.every((item) => typeof item === "string");
+const isPlainObject = (value) => typeof value === "object" && value !== null && !Array.isArray(value);
+
+/**
+ * Check the structure of an `explode` rule. See `explodeDocument` for its format.
+ * @param {object} explode
+ * @returns {string[]} Error messages
+ */
+const checkExplodeRule = (explode) => {
+  let errorMsgArray = [];
+  const { carry = [], each, emit } = explode;
+  if (!isStringArray(carry)) errorMsgArray.push(`"explode.carry" must be an array of strings`);
+  if (!Array.isArray(each) || each.length === 0) {
+    errorMsgArray.push(`"explode.each" must be a non-empty array`);
+  } else {
+    each.forEach(({ keys, path, as, keyAs }, index) => {
+      if (!(isStringArray(keys) || typeof path === "string") || (keys && path)) {
+        errorMsgArray.push(`"explode.each[${index}]" must have either "keys" (array of strings) or "path" (string)`);
+      }
+      if (typeof as !== "string" || (keyAs !== undefined && typeof keyAs !== "string")) {
+        errorMsgArray.push(`"explode.each[${index}].as" must be a string, and "keyAs" a string if set`);
+      }
+    });
+  }
+
+  if (!isPlainObject(emit) || Object.keys(emit).length === 0) {
+    errorMsgArray.push(`"explode.emit" must be a non-empty object`);
+  } else {
+    for (const [columnName, rule] of Object.entries(emit)) {
+      const isValidRule =
+        typeof rule === "string" || isStringArray(rule?.coalesce) || (isPlainObject(rule?.label) && !rule.coalesce);
+      if (!isValidRule) errorMsgArray.push(`"explode.emit.${columnName}" must be a path, or have "coalesce" or "label"`);
+    }
+  }
+
+  return errorMsgArray;
+};
+
+/**
+ * Check the structure of table configs in tableConfigs.js and fill in defaults. Throws if any config is invalid,
+ * so a broken configuration stops the function from loading instead of streaming wrong data.
+ * @param {object} inputConfigs
+ * @returns {object} Normalized configs keyed by table name, using Sets for key and field lists
+ */
+export const normalizeTableConfigs = (inputConfigs) => {
+  let errorMsgArray = [];
+  let normalizedConfigs = {};
+  let visitedCollectionNames = new Set();
+  let visitedChildTableNames = new Set();
+
+  for (const [tableName, config] of Object.entries(inputConfigs)) {
+    const { collection, pathPattern, ignoredKeys = {}, mixedStringAndObjectFields = [], oneHotArrays = {} } = config;
+    const { explode = null, rowExpander = null, childTables = {}, nested = false } = config;
+    const { changelog = false, syncMode = "overwrite" } = config;
+    // Doc ids repeat under different parents, so docs in subcollections are identified by their path columns too
+    const pathFieldNames = [...(pathPattern || "").matchAll(/\{(\w+)\}/g)]
+      .map((match) => match[1])
+      .filter((fieldName) => fieldName !== "docId");
+    const { primaryKey = [...pathFieldNames, "docId"] } = config;
+    const unknownOptionNames = Object.keys(config).filter((optionName) => !tableConfigOptionNames.has(optionName));
+    if (unknownOptionNames.length > 0) errorMsgArray.push(`${tableName}: unknown option(s) ${unknownOptionNames.join(", ")}`);
+    if (collection && pathPattern) errorMsgArray.push(`${tableName}: "collection" and "pathPattern" can't be used together`);
+    if (pathPattern && !/(^|\/)\{docId\}$/.test(pathPattern)) errorMsgArray.push(`${tableName}: "pathPattern" must end with "{docId}"`);
+    if (!isStringArray(ignoredKeys.top || []) || !isStringArray(ignoredKeys.nested || [])) {
+      errorMsgArray.push(`${tableName}: "ignoredKeys.top" and "ignoredKeys.nested" must be arrays of strings`);
+    }
+    if (!isStringArray(mixedStringAndObjectFields)) errorMsgArray.push(`${tableName}: "mixedStringAndObjectFields" must be an array of strings`);
+    if (!Object.values(oneHotArrays).every(isStringArray)) errorMsgArray.push(`${tableName}: "oneHotArrays" values must be arrays of strings`);
+    if (rowExpander !== null && typeof rowExpander !== "string") errorMsgArray.push(`${tableName}: "rowExpander" must be a string`);
+    if (explode && rowExpander) errorMsgArray.push(`${tableName}: "explode" and "rowExpander" can't be used together`);
+    if (explode) errorMsgArray.push(...checkExplodeRule(explode).map((msg) => `${tableName}: ${msg}`));
+    if (!isStringArray(primaryKey) || primaryKey.length === 0) errorMsgArray.push(`${tableName}: "primaryKey" must be a non-empty array of strings`);
+    const missingPathFieldNames = isStringArray(primaryKey) ? pathFieldNames.filter((name) => !primaryKey.includes(name)) : [];
+    if (missingPathFieldNames.length > 0) {
+      errorMsgArray.push(`${tableName}: "primaryKey" must include path column(s) ${missingPathFieldNames.join(", ")}`);
+    }
+    if (!isPlainObject(childTables) || !isStringArray(Object.values(childTables))) errorMsgArray.push(`${tableName}: "childTables" values must be strings`);
+    if (Object.keys(childTables).length > 0 && (explode || rowExpander)) {
+      errorMsgArray.push(`${tableName}: "childTables" can't be used together with "explode" or "rowExpander"`);
+    }
+    if (typeof nested !== "boolean") errorMsgArray.push(`${tableName}: "nested" must be a boolean`);
+    if (nested && (explode || rowExpander || Object.keys(childTables).length > 0 || Object.keys(oneHotArrays).length > 0)) {
+      errorMsgArray.push(`${tableName}: "nested" can't be used together with "explode", "rowExpander", "childTables" or "oneHotArrays"`);
+    }
+    if (typeof changelog !== "boolean") errorMsgArray.push(`${tableName}: "changelog" must be a boolean`);
+    if (changelog && (explode || rowExpander || nested)) {
+      errorMsgArray.push(`${tableName}: "changelog" can't be used together with "explode", "rowExpander" or "nested"`);
+    }
+    if (!syncModes.has(syncMode)) errorMsgArray.push(`${tableName}: "syncMode" must be one of ${[...syncModes].join(", ")}`);
+    if (syncMode === "scd2" && (explode || rowExpander)) {
+      errorMsgArray.push(`${tableName}: "syncMode" "scd2" can't be set together with "explode" or "rowExpander"`);
+    }
+    for (const childTableName of Object.values(childTables)) {
+      if (inputConfigs[childTableName] || visitedChildTableNames.has(childTableName)) {
+        errorMsgArray.push(`${tableName}: child table "${childTableName}" is already used by another table`);
+      }
+      visitedChildTableNames.add(childTableName);
+    }
+
+    const collectionName = pathPattern ? null : collection || tableName;
+    if (collectionName && visitedCollectionNames.has(collectionName)) {
+      errorMsgArray.push(`${tableName}: collection "${collectionName}" is already streamed to another table`);
+    }
+    visitedCollectionNames.add(collectionName);
+
+    normalizedConfigs[tableName] = {
+      collectionName,
+      pathPattern: pathPattern || null,
+      ignoredKeys: { top: new Set(ignoredKeys.top), nested: new Set(ignoredKeys.nested) },
+      mixedStringAndObjectFields: new Set(mixedStringAndObjectFields),
+      oneHotArrays,
+      explode,
+      rowExpander,
+      primaryKey,
+      pathFieldNames,
+      childDocKey: [...new Set([...primaryKey, ...pathFieldNames])], // Columns identifying the doc in child table rows
+      childTables,
+      nested,
+      changelog,
+      syncMode,
+    };
+  }
+
+  if (errorMsgArray.length > 0) {
+    throw new Error(`Invalid table configs:\n${errorMsgArray.join("\n")}`);
+  }
+
+  return normalizedConfigs;
+};
+
+export const tableConfigMap = normalizeTableConfigs(tableConfigs);
+const collectionTableNameMap = new Map();
+const compiledPathPatterns = [];
+for (const [tableName, { collectionName, pathPattern }] of Object.entries(tableConfigMap)) {
+  if (collectionName) {
+    collectionTableNameMap.set(collectionName, tableName);
+    continue;
+  }
+
+  const regexString = pathPattern
+    .split("/")
+    .map((segment) => segment.replace(/^\{(\w+)\}$/, "(?<$1>[^/]+)"))
+    .join("/");
+  compiledPathPatterns.push({ regex: new RegExp(`^${regexString}$`), tableName });
+}
+
+/**
+ * Find the table a Firestore document is streamed to.
+ * @param {string} name Resource name of the document, e.g. "projects/p/databases/(default)/documents/participants/abc"
+ * @returns {{ tableName: string, docId: string, pathFields: object } | null} `pathFields` holds column values taken
+ *   from the document path. Null if the document is not streamed.
+ */
+export const getDocumentRoute = (name) => {
+  const docPath = name.replace(/^projects\/[^/]+\/databases\/[^/]+\/documents\//, "");
+  const segments = docPath.split("/");
+  if (segments.length === 2) {
+    const [collectionName, docId] = segments;
+    const tableName = collectionTableNameMap.get(collectionName);
+    return tableName ? { tableName, docId, pathFields: {} } : null;
+  }
+
+  for (const { regex, tableName } of compiledPathPatterns) {
+    const match = docPath.match(regex);
+    if (!match) continue;
+    const { docId, ...pathFields } = match.groups;
+    if (allTableFieldNameSets[tableName]?.has("docPath")) {
+      pathFields.docPath = docPath;
+    }
+
+    return { tableName, docId, pathFields };
+  }
+
+  return null;
+};
+
 const wrongKeys = new Set(["undefined"]);
-export const ignoredKeys = {
-  participants: {
-    top: new Set([
-      "query",
-      "unverifiedSeen",
-      "utm_id",
-      "utm_source",
-      "verifiedSeen",
-      "firstSurveyCompletedSeen",
-      "569151507",
-      "Module2",
-      "D_726699695_V2",
-      "D_166676176",
-    ]),
-    nested: new Set(["treeJSON", "COMPLETED", "COMPLETED_TS", "sha", "110349197", "543608829"]),
-  },
-  bioSurvey_v1: {
-    top: new Set(["treeJSON", "sha"]),
-  },
-  cancerScreeningHistorySurvey: {
-    top: new Set(["treeJSON", "sha"]),
-  },
-  clinicalBioSurvey_v1: {
-    top: new Set(["treeJSON", "sha"]),
-  },
-  covid19Survey_v1: {
-    top: new Set(["treeJSON", "sha"]),
-  },
-  experience2024: {
-    top: new Set(["treeJSON", "sha"]),
-  },
-  menstrualSurvey_v1: {
-    top: new Set(["treeJSON", "sha"]),
-  },
-  module1_v1: {
-    top: new Set(["treeJSON", "sha"]),
-  },
-  module1_v2: {
-    top: new Set(["treeJSON", "sha"]),
-  },
-  module2_v1: {
-    top: new Set(["treeJSON", "sha"]),
-  },
-  module2_v2: {
-    top: new Set(["treeJSON", "sha"]),
-  },
-  module3_v1: {
-    top: new Set(["treeJSON", "sha"]),
-  },
-  module4_v1: {
-    top: new Set(["treeJSON", "sha"]),
-  },
-  mouthwash_v1: {
-    top: new Set(["treeJSON", "sha"]),
-  },
-  promis_v1: {
-    top: new Set(["treeJSON", "sha"]),
-  },
+
+const transientErrorReasons = new Set(["backendError", "internalError", "jobBackendError", "jobInternalError", "stopped", "timeout"]);
+const quotaErrorReasons = new Set(["rateLimitExceeded", "quotaExceeded"]);
+const transientGrpcCodes = new Set([4, 10, 13, 14]); // DEADLINE_EXCEEDED, ABORTED, INTERNAL, UNAVAILABLE
+const transientNetworkCodes = new Set(["ECONNRESET", "ECONNREFUSED", "ETIMEDOUT", "EPIPE", "EAI_AGAIN"]);
+
+/**
+ * Classify an error from BigQuery, saved to the error log as `errorClass`:
+ * - "transient": backend errors, 5xx responses and network errors, worth retrying
+ * - "quota": rate limits and exceeded quotas
+ * - "schemaMismatch": rows not fitting the table schema
+ * - "rowTooLarge": rows or requests over the size limits
+ * - "notFound": missing table or dataset, e.g. while a table is recreated
+ * - "unknown": anything else
+ * Handles API errors (HTTP `code` and `errors` with reasons), rows of PartialFailureError (`errors` of each row), and
+ * gRPC errors of the Storage Write API (`code` below 100).
+ * @param {Error|object} error
+ * @returns {string}
+ */
+export const classifyError = (error) => {
+  let reasonSet = new Set();
+  let messageArray = [error?.message || ""];
+  for (const item of error?.errors || []) {
+    for (const rowError of item.errors || [item]) {
+      reasonSet.add(rowError.reason);
+      messageArray.push(rowError.message || "");
+    }
+  }
+
+  const message = messageArray.join(" ");
+  const code = error?.code;
+  const isGrpcCode = typeof code === "number" && code < 100;
+  if (/too large|larger than|exceeds the (maximum|limit)/i.test(message)) return "rowTooLarge";
+  if (reasonSet.has("notFound") || code === 404 || (isGrpcCode && code === 5) || /^not found/i.test(message)) {
+    return "notFound";
+  }
+
+  if ([...reasonSet].some((reason) => quotaErrorReasons.has(reason)) || code === 429 || (isGrpcCode && code === 8)) {
+    return "quota";
+  }
+
+  if (
+    [...reasonSet].some((reason) => transientErrorReasons.has(reason)) ||
+    (typeof code === "number" && code >= 500) ||
+    (isGrpcCode && transientGrpcCodes.has(code)) ||
+    transientNetworkCodes.has(code)
+  ) {
+    return "transient";
+  }
+
+  // Row errors of the Storage Write API have the reason "1" (FIELDS_ERROR)
+  if (reasonSet.has("invalid") || reasonSet.has("1") || code === 400 || (isGrpcCode && code === 3)) {
+    return "schemaMismatch";
+  }
+
+  return "unknown";
 };
 
+const retryableErrorClasses = new Set(["transient", "quota", "notFound"]);
+const retryBaseDelayMilliseconds = 200;
+const retryMaxDelayMilliseconds = 5000;
+const sleep = (milliseconds) => new Promise((resolve) => setTimeout(resolve, milliseconds));
+
 /**
- * 
+ * Get the delay before retrying a failed write: exponential backoff with full jitter.
+ * @param {number} attempt Number of the failed attempt, starting from 0
+ * @param {number} deadline Time (in milliseconds) by which retries must be done
+ * @returns {number|null} Delay in milliseconds, or null if the next attempt would start after the deadline
+ */
+const getRetryDelay = (attempt, deadline) => {
+  const delay = Math.random() * Math.min(retryMaxDelayMilliseconds, retryBaseDelayMilliseconds * 2 ** attempt);
+  return Date.now() + delay < deadline ? delay : null;
+};
+
+/**
+ * Run a BigQuery write, retrying it with backoff while its errors are transient, quota or not-found errors and the
+ * retry time allowed in settings.js isn't used up. The last error is rethrown with `errorClass` set.
+ * @param {() => Promise<*>} write
+ * @param {number} [deadline] Time in milliseconds after which the write isn't retried, when it shares the retry time
+ *   with other writes
+ * @returns {Promise<*>} Result of the write
+ */
+export const withRetry = async (write, deadline = Date.now() + writeRetryMaxMilliseconds) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await write();
+    } catch (error) {
+      error.errorClass = classifyError(error);
+      const delay = retryableErrorClasses.has(error.errorClass) ? getRetryDelay(attempt, deadline) : null;
+      if (delay === null) throw error;
+      await sleep(delay);
+    }
+  }
+};
+
+/**
+ * Save an error to the error log. Each error row gets an `errorId`, used by `replayErrors` in localUtils.js to mark
+ * the row once its data is inserted again.
  * @param {string} datasetName
  * @param {string} targetTable 
  * @param {string} docId 
  * @param {string} operation 
  * @param {object | null} data 
  * @param {Error} error 
+ * @param {number} [deadline] Retry deadline (see `withRetry`)
  */
-export const saveError = async (datasetName, targetTable, docId, operation, data, error) => {
+export const saveError = async (datasetName, targetTable, docId, operation, data, error, deadline) => {
   let stringifiedData = data;
   if (data && typeof data === "object") {
     stringifiedData = JSON.stringify(data);
@@ -98,70 +341,437 @@ export const saveError = async (datasetName, targetTable, docId, operation, data
   }
 
   const row = {
+    errorId: randomUUID(),
     targetTable,
     docId,
     operation,
     data: stringifiedData,
     errorTime: new Date().toISOString(),
+    errorClass: classifyError(error),
     errorDetails: error.errors ? JSON.stringify(error.errors) : error.message,
   };
 
   try {
-    await bigquery.dataset(datasetName).table(errorLogTableName).insert(row);
+    await withRetry(() => bigquery.dataset(datasetName).table(errorLogTableName).insert(row), deadline);
   } catch (err) {
     console.error(`Error occurred when saving to log table "${errorLogTableName}".`, JSON.stringify(err, null, 2));
   }
 };
 
-export const saveWarning = async (datasetName, tableName, docId, data, msg = "") => {
+/**
+ * Build a warning record for the warning log. `message` is a readable summary; the other fields make warnings
+ * queryable with plain SQL, e.g. extra fields of each table:
+ * `SELECT w.tableName, w.columnName FROM warning_log, UNNEST(warnings) AS w WHERE w.warningType = "extraField"`.
+ * @param {string} tableName Table the warning applies to (the child table for child rows)
+ * @param {string} warningType "extraField", "typeMismatch", "invalidKey", "unusualArray" or "unexpectedArrayItem"
+ * @param {string} message
+ * @param {object} [details] `fieldPath` (dotted path of the Firestore field), `columnName`, `valueType` (type of the
+ *   value found) and `columnType`, where they apply
+ * @returns {object}
+ */
+export const createWarning = (tableName, warningType, message, details = {}) => ({
+  warningType,
+  tableName,
+  message,
+  ...details,
+});
+
+/**
+ * Get the type of a field's value in Firestore event data, like "stringValue" or "mapValue", for warnings.
+ * @param {object} fieldsData `fields` of a Firestore document
+ * @param {string} fieldPath Path of the field, like "a.b" or "a.0" for array items. Keys of converted data, having
+ *   a "d_" prefix if they start with a digit, are matched too.
+ * @returns {string | null}
+ */
+export const getFirestoreValueType = (fieldsData, fieldPath = "") => {
+  let value = { mapValue: { fields: fieldsData } };
+  for (const key of fieldPath.split(".")) {
+    if (value?.mapValue) {
+      const fields = value.mapValue.fields || {};
+      value = fields[key] ?? fields[key.replace(/^d_(\d)/, "$1")];
+    } else if (value?.arrayValue) {
+      value = (value.arrayValue.values || [])[Number(key)];
+    } else {
+      return null;
+    }
+  }
+
+  return (value && Object.keys(value).find((valueKey) => valueKey.endsWith("Value"))) || null;
+};
+
+/**
+ * Warnings seen by this function instance in the current hour, counted per table, field and warning type, and counts
+ * waiting to be inserted to the warning counts table.
+ */
+const warningSampleWindow = { hourStart: "", countMap: new Map() };
+const pendingWarningCounts = { countMap: new Map() };
+
+/**
+ * Insert pending warning counts to the warning counts table. Each row holds the counts of one instance since its last
+ * flush, so totals are sums over rows with the same hour, table, field and warning type. Counts are flushed with the
+ * buffer rows of the event that saved the warnings (see `flushBufferBatch`), so that they are written before the
+ * response is sent, and by `saveWarning` when the hour changes or many counts are pending.
+ */
+const flushWarningCounts = async (deadline) => {
+  const rowArray = [...pendingWarningCounts.countMap.values()];
+  pendingWarningCounts.countMap = new Map();
+  if (rowArray.length === 0) return;
+
+  const flushedAt = new Date().toISOString();
+  try {
+    await withRetry(() =>
+      bigquery
+        .dataset(datasetName)
+        .table(warningCountsTableName)
+        .insert(rowArray.map((row) => ({ ...row, flushedAt }))),
+      deadline
+    );
+  } catch (err) {
+    console.error(`Error occurred when saving to log table "${warningCountsTableName}".`, JSON.stringify(err, null, 2));
+  }
+};
+
+// Warnings saved for every doc, without doc data past the sample limit: `backfillTable` and `getProposedSchemaChanges`
+// in localUtils.js find docs with extra fields and count them from the warning log
+const unsampledWarningTypes = new Set(["extraField"]);
+
+/**
+ * Count warnings, and keep those within `warningSampleLimitPerHour` of their table, field and warning type in the
+ * current hour, and all warnings of `unsampledWarningTypes`. Counts wait in `pendingWarningCounts` until they are
+ * flushed.
+ * @param {object[]} warningArray Records built by `createWarning`
+ * @returns {[object[], boolean]} Warnings to be saved to the warning log, and whether any of them is within the limit,
+ *   so that doc data is saved with them
+ */
+const sampleWarnings = (warningArray) => {
+  const hourStart = `${new Date().toISOString().slice(0, 13)}:00:00.000Z`;
+  if (warningSampleWindow.hourStart !== hourStart) {
+    warningSampleWindow.hourStart = hourStart;
+    warningSampleWindow.countMap = new Map();
+  }
+
+  let isPayloadSampled = false;
+  const sampledWarningArray = warningArray.filter(({ tableName, warningType, fieldPath = null, columnName = null }) => {
+    const key = JSON.stringify([tableName, warningType, fieldPath ?? columnName]);
+    const count = (warningSampleWindow.countMap.get(key) ?? 0) + 1;
+    warningSampleWindow.countMap.set(key, count);
+    const isWithinLimit = count <= warningSampleLimitPerHour;
+    const isSampled = isWithinLimit || unsampledWarningTypes.has(warningType);
+    if (isWithinLimit) isPayloadSampled = true;
+
+    const countKey = `${hourStart}_${key}`;
+    if (!pendingWarningCounts.countMap.has(countKey)) {
+      const counts = { hourStart, tableName, warningType, fieldPath, columnName, occurrences: 0, sampledOccurrences: 0 };
+      pendingWarningCounts.countMap.set(countKey, counts);
+    }
+
+    const counts = pendingWarningCounts.countMap.get(countKey);
+    counts.occurrences++;
+    if (isSampled) counts.sampledOccurrences++;
+    return isSampled;
+  });
+
+  return [sampledWarningArray, isPayloadSampled];
+};
+
+/**
+ * Build the `data` value of a warning row, following `warningPayload` in settings.js.
+ * @param {object | null} data
+ * @returns {string | null}
+ */
+const getWarningPayload = (data) => {
+  if (!data || warningPayload === "none") return null;
+  return JSON.stringify(warningPayload === "keys" ? Object.keys(data) : data);
+};
+
+/**
+ * Save warnings about a doc to the warning log, as records in `warnings` and their messages joined in
+ * `warningDetails`. Warnings with the same message (e.g. from several rows of a doc) are saved once. All warnings are
+ * counted in the warning counts table, but only a sample of them is saved (see `sampleWarnings`); the row is skipped
+ * if none of its warnings are sampled, and saved without doc data if all of them are past the sample limit.
+ * @param {string} datasetName
+ * @param {string} tableName
+ * @param {string} docId
+ * @param {object | null} data
+ * @param {object[]} warningArray Records built by `createWarning`
+ * @param {string} [eventId]
+ * @param {number} [deadline] Retry deadline (see `withRetry`)
+ */
+export const saveWarning = async (datasetName, tableName, docId, data, warningArray = [], eventId = null, deadline) => {
+  const uniqueWarningArray = [...new Map(warningArray.map((warning) => [warning.message, warning])).values()];
+  const lastHourStart = warningSampleWindow.hourStart;
+  const [sampledWarningArray, isPayloadSampled] = sampleWarnings(uniqueWarningArray);
+  const warnings = sampledWarningArray.sort((a, b) => (a.message < b.message ? -1 : 1));
+  if (lastHourStart !== warningSampleWindow.hourStart || pendingWarningCounts.countMap.size >= bufferInsertBatchSize) {
+    await flushWarningCounts(deadline);
+  }
+
+  if (warnings.length === 0) return;
+
   const row = {
     targetTable: tableName,
     docId,
-    data: data ? JSON.stringify(data) : null,
+    eventId,
+    data: isPayloadSampled ? getWarningPayload(data) : null,
     warningTime: new Date().toISOString(),
-    warningDetails: msg,
+    warningDetails: warnings.map((warning) => warning.message).join("; "),
+    warnings,
   };
 
   try {
-    await bigquery.dataset(datasetName).table(warningLogTableName).insert(row);
+    await withRetry(() => bigquery.dataset(datasetName).table(warningLogTableName).insert(row), deadline);
   } catch (err) {
     console.error(`Error occurred when saving to log table "${warningLogTableName}".`, JSON.stringify(err, null, 2));
   }
 };
 
+/**
+ * Convert a protobuf Timestamp object (`{ seconds, nanos }`) to an ISO string.
+ * @param {object} timestamp
+ * @returns {string}
+ */
+export const timestampToIsoString = ({ seconds = 0, nanos = 0 }) =>
+  new Date(seconds * 1000 + Math.round(nanos / 1e6)).toISOString();
+
+/**
+ * Parse an RFC 3339 time (e.g. `time` of a CloudEvent) to a protobuf Timestamp object, keeping its fractional seconds.
+ * @param {string} timeStr
+ * @returns {object}
+ */
+export const parseTimestamp = (timeStr) => {
+  const fraction = /\.(\d+)/.exec(timeStr)?.[1] || "";
+  return { seconds: Math.floor(Date.parse(timeStr) / 1000), nanos: Number(fraction.slice(0, 9).padEnd(9, "0")) };
+};
+
+/**
+ * Convert a protobuf Timestamp object to the `commitTime` of buffer rows: an ISO string with microseconds (the
+ * precision of Firestore commit times) and fixed width, so that commit times sort correctly as strings.
+ * @param {object} timestamp
+ * @returns {string}
+ */
+export const toCommitTime = ({ seconds = 0, nanos = 0 }) =>
+  `${new Date(seconds * 1000).toISOString().slice(0, 19)}.${String(Math.floor(nanos / 1000)).padStart(6, "0")}Z`;
+
+/**
+ * Converters for scalar `Value` variants (see data.proto) other than string, boolean and integer.
+ * Each converter returns a value that can be streamed to BigQuery as is.
+ */
+const scalarValueConverters = {
+  doubleValue: (value) => (Number.isFinite(value) ? value : String(value)), // "NaN", "Infinity" and "-Infinity" are accepted by BigQuery
+  timestampValue: (value) => timestampToIsoString(value),
+  referenceValue: (value) => value.replace(/^projects\/[^/]+\/databases\/[^/]+\/documents\//, ""),
+  geoPointValue: ({ latitude = 0, longitude = 0 }) => `${latitude},${longitude}`,
+  bytesValue: (value) => (typeof value === "string" ? value : Buffer.from(value).toString("base64")),
+};
+
+/**
+ * Convert a scalar `Value` variant to column(s) of a flattened row, based on the table schema.
+ * A geo point goes to a single column if the schema has it, otherwise to `<key>_latitude` and `<key>_longitude` columns.
+ * @param {string} tableName
+ * @param {string} key Column name derived from the field path
+ * @param {string} valueType Name of the `Value` variant, e.g. "doubleValue"
+ * @param {*} value
+ * @returns {object} Column names and values to be added to the flattened row
+ */
+const convertScalarField = (tableName, key, valueType, value) => {
+  const columnType = allTableFieldTypeMaps[tableName]?.get(key);
+  if (valueType === "geoPointValue" && !columnType) {
+    const { latitude = 0, longitude = 0 } = value;
+    return { [`${key}_latitude`]: latitude, [`${key}_longitude`]: longitude };
+  }
+
+  if (valueType === "geoPointValue" && columnType === "GEOGRAPHY") {
+    return { [key]: `POINT(${value.longitude || 0} ${value.latitude || 0})` };
+  }
+
+  return { [key]: scalarValueConverters[valueType](value) };
+};
+
+const columnTypeAliases = { INTEGER: "INT64", FLOAT: "FLOAT64", BOOLEAN: "BOOL", BIGNUMERIC: "NUMERIC" };
+const isScalar = (value) => ["string", "number", "boolean"].includes(typeof value);
+const isNumericString = (value) => typeof value === "string" && value.trim() !== "" && Number.isFinite(Number(value));
+
+/**
+ * Coercers for column types in tableSchemas.js. Each coercer returns `undefined` if the value doesn't fit the column type.
+ */
+const columnValueCoercers = {
+  STRING: (value) => (isScalar(value) ? String(value) : undefined),
+  INT64: (value) => {
+    if (typeof value === "number") return Number.isInteger(value) ? value : undefined;
+    if (typeof value === "string" && /^\s*[+-]?\d+\s*$/.test(value)) return value.trim(); // Keep as string to avoid precision loss
+    return undefined;
+  },
+  FLOAT64: (value) => {
+    if (typeof value === "number") return Number.isFinite(value) ? value : String(value);
+    if (["NaN", "Infinity", "-Infinity"].includes(value)) return value;
+    return isNumericString(value) ? Number(value) : undefined;
+  },
+  NUMERIC: (value) => {
+    if (typeof value === "number" && Number.isFinite(value)) return String(value);
+    return isNumericString(value) ? value.trim() : undefined;
+  },
+  BOOL: (value) => {
+    if (typeof value === "boolean") return value;
+    if (typeof value === "string" && /^(true|false)$/i.test(value)) return value.toLowerCase() === "true";
+    return undefined;
+  },
+  TIMESTAMP: (value) => (typeof value === "string" && !isNaN(Date.parse(value)) ? new Date(value).toISOString() : undefined),
+  DATE: (value) => {
+    if (typeof value !== "string") return undefined;
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+    return isNaN(Date.parse(value)) ? undefined : new Date(value).toISOString().slice(0, 10);
+  },
+  JSON: (value) => JSON.stringify(value),
+};
+
+/**
+ * Coerce values of a flattened row into the column types defined in tableSchemas.js.
+ * Fields not in the schema, and values that don't fit their column types, are left out of the result.
+ * @param {string} tableName
+ * @param {object} data Flattened row data
+ * @returns {[object, object[]]} Coerced row data, and warnings for values with mismatched types
+ */
+export const coerceDataToSchema = (tableName, data) => {
+  const fieldTypeMap = allTableFieldTypeMaps[tableName];
+  let coercedData = {};
+  let warningArray = [];
+
+  for (const [fieldName, value] of Object.entries(data)) {
+    if (!fieldTypeMap?.has(fieldName) || value === null || value === undefined) continue;
+    const columnType = columnTypeAliases[fieldTypeMap.get(fieldName)] || fieldTypeMap.get(fieldName);
+    const coerce = columnValueCoercers[columnType];
+    if (!coerce) {
+      coercedData[fieldName] = value;
+      continue;
+    }
+
+    const coercedValue = coerce(value);
+    if (coercedValue === undefined) {
+      const valueType = Array.isArray(value) ? "array" : typeof value;
+      const message = `Type mismatch in field ${fieldName}: ${valueType} value doesn't fit ${columnType} column`;
+      warningArray.push(createWarning(tableName, "typeMismatch", message, { columnName: fieldName, valueType, columnType }));
+      continue;
+    }
+
+    coercedData[fieldName] = coercedValue;
+  }
+
+  return [coercedData, warningArray];
+};
+
+/**
+ * Coerce a value of nested row data into a column, following its type and mode (REPEATED or not).
+ * @param {object} field Column in tableSchemas.js, with `fields` for RECORD columns
+ * @param {*} value
+ * @param {string} path Column path like "a.b", used in warning messages
+ * @param {{ tableName: string, warningArray: object[], extraFieldPathArray: string[] }} result Collects warnings and
+ *   extra fields
+ * @returns {*} Coerced value, or `undefined` if the value doesn't fit the column
+ */
+const coerceNestedValue = (field, value, path, result) => {
+  const addTypeWarning = (valueType, columnType) => {
+    const message = `Type mismatch in field ${path}: ${valueType} value doesn't fit ${columnType} column`;
+    const details = { fieldPath: path, columnName: path, valueType, columnType };
+    result.warningArray.push(createWarning(result.tableName, "typeMismatch", message, details));
+  };
+
+  if (field.mode === "REPEATED") {
+    if (!Array.isArray(value)) {
+      addTypeWarning(typeof value, "REPEATED");
+      return undefined;
+    }
+
+    return value
+      .filter((item) => item !== null && item !== undefined) // Null items aren't allowed in BigQuery arrays
+      .map((item) => coerceNestedValue({ ...field, mode: "NULLABLE" }, item, path, result))
+      .filter((item) => item !== undefined);
+  }
+
+  if (["RECORD", "STRUCT"].includes(field.type)) {
+    if (!isPlainObject(value)) {
+      addTypeWarning(Array.isArray(value) ? "array" : typeof value, "RECORD");
+      return undefined;
+    }
+
+    return coerceNestedFields(field.fields || [], value, `${path}.`, result);
+  }
+
+  const columnType = columnTypeAliases[field.type] || field.type;
+  const coercedValue = columnValueCoercers[columnType] ? columnValueCoercers[columnType](value) : value;
+  if (coercedValue === undefined) {
+    addTypeWarning(Array.isArray(value) ? "array" : typeof value, columnType);
+  }
+
+  return coercedValue;
+};
+
+const coerceNestedFields = (fieldArray, data, pathPrefix, result) => {
+  const fieldMap = new Map(fieldArray.map((field) => [field.name, field]));
+  let coercedData = {};
+  for (const [fieldName, value] of Object.entries(data)) {
+    const field = fieldMap.get(fieldName);
+    if (!field) {
+      result.extraFieldPathArray.push(`${pathPrefix}${fieldName}`);
+      continue;
+    }
+
+    if (value === null || value === undefined) continue;
+    const coercedValue = coerceNestedValue(field, value, `${pathPrefix}${fieldName}`, result);
+    if (coercedValue !== undefined) coercedData[fieldName] = coercedValue;
+  }
+
+  return coercedData;
+};
+
+/**
+ * Coerce nested row data (see `cleanupFieldsData`) into RECORD and REPEATED columns, for tables in nested mode.
+ * Fields not in the schema, and values that don't fit their columns, are left out of the result.
+ * @param {string} tableName
+ * @param {object} data Nested row data
+ * @returns {[object, object[], string[]]} Coerced row data, warnings for values with mismatched types, and paths
+ *   (like "a.b") of fields not in the schema
+ */
+export const coerceNestedDataToSchema = (tableName, data) => {
+  let result = { tableName, warningArray: [], extraFieldPathArray: [] };
+  const coercedData = coerceNestedFields(allSchemas[tableName] || [], data, "", result);
+  return [coercedData, result.warningArray, result.extraFieldPathArray];
+};
+
 export const cleanupFieldsData = (tableName, fieldsData) => {
   let resultData = {};
   let stack = [];
-  let warningMsgArray = [];
+  let warningArray = [];
 
   if (typeof fieldsData === "object" && fieldsData !== null) {
     for (let key in fieldsData) {
-      if (ignoredKeys[tableName]?.top.has(key)) continue;
+      if (tableConfigMap[tableName]?.ignoredKeys.top.has(key)) continue;
       if (wrongKeys.has(key)) {
-        warningMsgArray.push(`Key "${key}" found in event data `);
+        warningArray.push(createWarning(tableName, "invalidKey", `Key "${key}" found in event data `, { fieldPath: key }));
         continue;
       }
-      stack.push({ parent: resultData, key: key.replace(/^(\d)/, "d_$1"), value: fieldsData[key] });
+      stack.push({ parent: resultData, key: key.replace(/^(\d)/, "d_$1"), value: fieldsData[key], path: key });
     }
   } else {
-    return [fieldsData, warningMsgArray];
+    return [fieldsData, warningArray];
   }
 
   while (stack.length > 0) {
-    const { parent, key, value } = stack.pop();
+    const { parent, key, value, path } = stack.pop();
 
     if (Array.isArray(value)) {
       parent[key] = [];
       value.forEach((item, index) => {
-        stack.push({ parent: parent[key], key: index, value: item });
+        stack.push({ parent: parent[key], key: index, value: item, path: `${path}.${index}` });
       });
     } else if (value && typeof value === "object") {
       for (const k in value) {
-        if (k === "nullValue" || ignoredKeys[tableName]?.nested?.has(k)) continue;
+        if (k === "nullValue" || tableConfigMap[tableName]?.ignoredKeys.nested.has(k)) continue;
         if (k === "stringValue" || k === "booleanValue") {
           parent[key] = value[k];
         } else if (k === "integerValue") {
           parent[key] = value[k].toString();
+        } else if (scalarValueConverters[k]) {
+          parent[key] = scalarValueConverters[k](value[k]);
         } else if (k === "mapValue") {
           parent[key] = {};
           for (const mapKey in value[k].fields) {
@@ -169,6 +779,7 @@ export const cleanupFieldsData = (tableName, fieldsData) => {
               parent: parent[key],
               key: mapKey.replace(/^(\d)/, "d_$1"),
               value: value[k].fields[mapKey],
+              path: `${path}.${mapKey}`,
             });
           }
         } else if (k === "arrayValue") {
@@ -176,7 +787,7 @@ export const cleanupFieldsData = (tableName, fieldsData) => {
           if (Array.isArray(valueArray)) {
             parent[key] = [];
             valueArray.forEach((item, index) => {
-              stack.push({ parent: parent[key], key: index, value: item });
+              stack.push({ parent: parent[key], key: index, value: item, path: `${path}.${index}` });
             });
           } else if (
             typeof value.arrayValue === "object" &&
@@ -185,11 +796,12 @@ export const cleanupFieldsData = (tableName, fieldsData) => {
           ) {
             continue; // Ignore empty array. otherwhise `parent[key] = [];`
           } else {
-            warningMsgArray.push(`Unusual values found in array. key: ${key}; value: ${JSON.stringify(value, null, 2)}`);
+            const message = `Unusual values found in array. key: ${key}; value: ${JSON.stringify(value, null, 2)}`;
+            warningArray.push(createWarning(tableName, "unusualArray", message, { fieldPath: path, valueType: "array" }));
           }
         } else {
           parent[key] = {};
-          stack.push({ parent: parent[key], key: k.replace(/^(\d)/, "d_$1"), value: value[k] });
+          stack.push({ parent: parent[key], key: k.replace(/^(\d)/, "d_$1"), value: value[k], path: `${path}.${k}` });
         }
       }
     } else {
@@ -197,10 +809,18 @@ export const cleanupFieldsData = (tableName, fieldsData) => {
     }
   }
 
-  return [resultData, warningMsgArray];
+  return [resultData, warningArray];
 };
 
-const recoverArray = (valueArray, warningMsgArray) => {
+/**
+ * Convert items of a Firestore array to strings. Items that aren't scalars are left out with warnings.
+ * @param {string} tableName
+ * @param {string} path Path of the array field
+ * @param {object[]} valueArray
+ * @param {object[]} warningArray Collects warnings
+ * @returns {string[]}
+ */
+const recoverArray = (tableName, path, valueArray, warningArray) => {
   const result = [];
   for (const item of valueArray) {
     const [key, value] = Object.entries(item)[0];
@@ -208,8 +828,11 @@ const recoverArray = (valueArray, warningMsgArray) => {
       result.push(value);
     } else if (key === "integerValue") {
       result.push(value.toString());
+    } else if (scalarValueConverters[key]) {
+      result.push(String(scalarValueConverters[key](value)));
     } else {
-      warningMsgArray.push(`Unexpected key "${key}" found in array.`);
+      const details = { fieldPath: path, valueType: key };
+      warningArray.push(createWarning(tableName, "unexpectedArrayItem", `Unexpected key "${key}" found in array.`, details));
     }
   }
 
@@ -218,7 +841,7 @@ const recoverArray = (valueArray, warningMsgArray) => {
 
 const flattenArrayToObject = (tableName, path, valueArray) => {
   let result = {};
-  const refValueArray = arraysToBeFlattened[tableName]?.[path];
+  const refValueArray = tableConfigMap[tableName]?.oneHotArrays[path];
   if (!refValueArray) return result;
   const inputValues = new Set(valueArray);
   for (const refValue of refValueArray) {
@@ -233,93 +856,430 @@ const flattenArrayToObject = (tableName, path, valueArray) => {
   return result;
 };
 
+/**
+ * Convert Firestore fields to a flat row, with nested map keys joined by "_".
+ * Arrays set in `childTables` of the table config are converted to rows of their child tables instead: one row per
+ * element, with `arrayIndex` and either `value` (scalar elements) or flattened fields (map elements).
+ * @param {string} tableName
+ * @param {object} fieldsData `fields` of a Firestore document
+ * @returns {[object, object[], object, object, object]} Flattened data, warnings, child rows keyed by child table name,
+ *   the path of the Firestore field (like "a.b") of each column, and these paths for each child row
+ */
 export const cleanupAndFlattenFields = (tableName, fieldsData) => {
   let flattenedData = {};
   let stack = [];
-  let warningMsgArray = [];
+  let warningArray = [];
+  let childRowsMap = {};
+  let fieldPathMap = {};
+  let childFieldPathsMap = {};
+  const setColumns = (columnObj, path) => {
+    Object.assign(flattenedData, columnObj);
+    Object.keys(columnObj).forEach((columnName) => (fieldPathMap[columnName] = path));
+  };
 
   if (fieldsData && typeof fieldsData === "object") {
     for (let key in fieldsData) {
-      if (ignoredKeys[tableName]?.top.has(key)) continue;
+      if (tableConfigMap[tableName]?.ignoredKeys.top.has(key)) continue;
       if (wrongKeys.has(key)) {
-        warningMsgArray.push(`Key "${key}" found in event data `);
+        warningArray.push(createWarning(tableName, "invalidKey", `Key "${key}" found in event data `, { fieldPath: key }));
         continue;
       }
-      stack.push({ key: key.replace(/\./g, "_").replace(/^(\d)/, "d_$1"), value: fieldsData[key] });
+      stack.push({ key: key.replace(/\./g, "_").replace(/^(\d)/, "d_$1"), value: fieldsData[key], path: key });
     }
   } else {
-    return [fieldsData, warningMsgArray];
+    return [fieldsData, warningArray, childRowsMap, fieldPathMap, childFieldPathsMap];
   }
 
   while (stack.length > 0) {
-    const { key, value } = stack.pop();
+    const { key, value, path } = stack.pop();
     if (value && typeof value === "object") {
       for (const k in value) {
-        if (k === "nullValue" || ignoredKeys[tableName]?.nested?.has(k)) continue;
+        if (k === "nullValue" || tableConfigMap[tableName]?.ignoredKeys.nested.has(k)) continue;
         if (k === "stringValue" || k === "booleanValue") {
-          if (mixedStringAndObjectTypes[tableName]?.has(key)) {
+          if (tableConfigMap[tableName]?.mixedStringAndObjectFields.has(key)) {
             const adjustedKey = `${key}_string`;
-            flattenedData[adjustedKey] = value[k];
+            setColumns({ [adjustedKey]: value[k] }, path);
           } else {
-            flattenedData[key] = value[k];
+            setColumns({ [key]: value[k] }, path);
           }
         } else if (k === "integerValue") {
-          flattenedData[key] = value[k].toString();
+          setColumns({ [key]: value[k] }, path);
+        } else if (scalarValueConverters[k]) {
+          const adjustedKey = tableConfigMap[tableName]?.mixedStringAndObjectFields.has(key) ? `${key}_string` : key;
+          setColumns(convertScalarField(tableName, adjustedKey, k, value[k]), path);
         } else if (k === "mapValue") {
           for (const mapKey in value[k].fields) {
             stack.push({
               key: `${key}_${mapKey.replace(/^(\d)/, "d_$1")}`,
               value: value[k].fields[mapKey],
+              path: `${path}.${mapKey}`,
             });
           }
         } else if (k === "arrayValue") {
-          const recoveredArray = recoverArray(value[k].values, warningMsgArray);
-          if (arraysToBeFlattened[tableName]?.[key]) {
+          const childTableName = tableConfigMap[tableName]?.childTables[key];
+          if (childTableName) {
+            childFieldPathsMap[childTableName] = [];
+            childRowsMap[childTableName] = (value[k].values || []).map((item, arrayIndex) => {
+              const itemFields = item.mapValue ? item.mapValue.fields || {} : { value: item };
+              const [childData, childWarningArray, , childFieldPathMap] = cleanupAndFlattenFields(childTableName, itemFields);
+              warningArray.push(...childWarningArray);
+              const itemPath = `${path}.${arrayIndex}`;
+              childFieldPathsMap[childTableName].push(
+                Object.fromEntries(
+                  Object.entries(childFieldPathMap).map(([columnName, childPath]) => [
+                    columnName,
+                    item.mapValue ? `${itemPath}.${childPath}` : itemPath,
+                  ])
+                )
+              );
+              return { arrayIndex, ...childData };
+            });
+            continue;
+          }
+
+          const recoveredArray = recoverArray(tableName, path, value[k].values || [], warningArray);
+          if (tableConfigMap[tableName]?.oneHotArrays[key]) {
             const obj = flattenArrayToObject(tableName, key, recoveredArray);
-            Object.assign(flattenedData, obj);
+            setColumns(obj, path);
           } else {
-            flattenedData[key] = recoveredArray;
+            setColumns({ [key]: recoveredArray }, path);
           }
         } else {
-          stack.push({ key: `${key}_${k.replace(/^(\d)/, "d_$1")}`, value: value[k] });
+          stack.push({ key: `${key}_${k.replace(/^(\d)/, "d_$1")}`, value: value[k], path: `${path}.${k}` });
         }
       }
     } else {
-      flattenedData[key] = value;
+      setColumns({ [key]: value }, path);
+    }
+  }
+
+  return [flattenedData, warningArray, childRowsMap, fieldPathMap, childFieldPathsMap];
+};
+
+/**
+ * Rows waiting to be inserted to buffer tables, grouped by table name. The map is shared by concurrent cloud events
+ * in the same function instance, so rows from different events are sent in one `insert()` request.
+ */
+const pendingBufferBatches = new Map();
+
+/**
+ * Insert entries of a pending batch to a buffer table.
+ * @param {string} tableName
+ * @param {object[]} entryArray
+ * @returns {Promise<{ entry: object, error: object }[]>} Entries not inserted, with their errors
+ */
+const insertBufferEntries = async (tableName, entryArray) => {
+  try {
+    if (bufferWriteApi === "storageWrite") {
+      await insertRowsWithStorageWrite(tableName, entryArray.map((entry) => entry.rowObj));
+    } else {
+      // BigQuery drops rows with an `insertId` it has seen in the last few minutes, e.g. from a redelivered event.
+      const rawRows = entryArray.map(({ rowObj, insertId }) => ({ insertId, json: rowObj }));
+      await bigquery.dataset(bufferDatasetName).table(tableName).insert(rawRows, { raw: true, skipInvalidRows: true });
+    }
+
+    return [];
+  } catch (error) {
+    if (error.name !== "PartialFailureError" || !Array.isArray(error.errors)) {
+      return entryArray.map((entry) => ({ entry, error }));
+    }
+
+    const failedArray = error.errors.map(({ row, errors }) => ({
+      entry: entryArray.find((entry) => entry.rowObj === row || entry.rowObj === row?.json),
+      error: { errors },
+    }));
+    // Without knowing which rows failed, all of them are reported, as inserting rows again is safe (see `insertId`)
+    if (failedArray.some(({ entry }) => !entry)) return entryArray.map((entry) => ({ entry, error }));
+    return failedArray;
+  }
+};
+
+/**
+ * Insert all pending rows of a buffer table in one request. Rows failing with retryable errors (see `withRetry`) are
+ * inserted again with backoff; other rows in the same request are still inserted. Rows that still fail are saved to
+ * the error log, and callers whose rows failed with retryable errors get the error, so that the event can be
+ * delivered again. Pending warning counts are inserted at the same time, while callers wait. Retries of all these
+ * writes share the earliest retry deadline of the events having rows in the batch. Callers are always settled, also
+ * when the flush itself throws, as it runs without being awaited (from a timer or when the batch is full).
+ * @param {string} tableName
+ */
+const flushBufferBatch = async (tableName) => {
+  const batch = pendingBufferBatches.get(tableName);
+  if (!batch) return;
+  pendingBufferBatches.delete(tableName);
+  clearTimeout(batch.timer);
+  const bufferedAt = new Date().toISOString();
+  batch.entries.forEach((entry) => (entry.rowObj = { ...entry.rowObj, bufferedAt }));
+
+  const { deadline } = batch;
+  let entryErrorMap = new Map();
+  let flushError = null;
+  try {
+    let pendingEntryArray = batch.entries;
+    for (let attempt = 0; pendingEntryArray.length > 0; attempt++) {
+      pendingEntryArray.forEach((entry) => entryErrorMap.delete(entry));
+      const failedArray = await insertBufferEntries(tableName, pendingEntryArray);
+      const delay = getRetryDelay(attempt, deadline);
+      pendingEntryArray = [];
+      for (const { entry, error } of failedArray) {
+        error.errorClass = classifyError(error);
+        entryErrorMap.set(entry, error);
+        if (delay !== null && retryableErrorClasses.has(error.errorClass)) pendingEntryArray.push(entry);
+      }
+
+      if (pendingEntryArray.length > 0) await sleep(delay);
+    }
+
+    await Promise.allSettled([
+      ...[...entryErrorMap].map(([{ rowObj, operation }, error]) =>
+        saveError(datasetName, tableName, rowObj.docId, operation, rowObj, error, deadline)
+      ),
+      flushWarningCounts(deadline),
+    ]);
+  } catch (error) {
+    console.error(`Error occurred when flushing rows to buffer table "${tableName}".`, error);
+    flushError = error;
+  } finally {
+    for (const { resolve, reject, entryArray } of batch.callers) {
+      const retryableError = entryArray
+        .map((entry) => entryErrorMap.get(entry))
+        .find((error) => error && retryableErrorClasses.has(error.errorClass));
+      if (flushError || retryableError) {
+        reject(flushError || retryableError);
+      } else {
+        resolve();
+      }
+    }
+  }
+};
+
+/**
+ * Build the insert id of a buffer row from its `eventId`, so that BigQuery drops the row when the same event writes it
+ * again. Events writing several rows to a table add the columns telling the rows apart: primary key columns for
+ * deletes and exploded docs, and `arrayIndex` for child table inserts.
+ * @param {string} tableName
+ * @param {string} operation "INSERT" or "DELETE"
+ * @param {object} rowObj
+ * @returns {string|undefined}
+ */
+export const getBufferInsertId = (tableName, operation, rowObj) => {
+  if (!rowObj.eventId) return undefined;
+  const config = tableConfigMap[tableName];
+  if (!config) return operation === "DELETE" ? rowObj.eventId : `${rowObj.eventId}_${rowObj.arrayIndex ?? ""}`;
+  if (operation === "DELETE" || config.explode || config.rowExpander) {
+    return [rowObj.eventId, ...config.primaryKey.map((columnName) => rowObj[columnName])].join("_");
+  }
+
+  return rowObj.eventId;
+};
+
+/**
+ * Add rows to the pending batch of a buffer table. The batch is inserted when it reaches `bufferInsertBatchSize` rows,
+ * or `bufferInsertFlushMilliseconds` after its first row is added.
+ * @param {string} tableName
+ * @param {object[]} rowObjArray
+ * @param {string} operation Operation name saved to the error log if a row fails, e.g. "INSERT"
+ * @param {(rowObj: object) => string} [getInsertId] Builds the id used by BigQuery to drop duplicate rows
+ * @param {number} [deadline] Retry deadline of the event (see `withRetry`)
+ * @returns {Promise<void>} Resolves after the batch holding the rows has been inserted. Rejects if some of the rows
+ *   failed with retryable errors after retries.
+ */
+const addRowsToBufferBatch = (
+  tableName,
+  rowObjArray,
+  operation,
+  getInsertId = (rowObj) => rowObj.eventId,
+  deadline = Date.now() + writeRetryMaxMilliseconds
+) =>
+  new Promise((resolve, reject) => {
+    let batch = pendingBufferBatches.get(tableName);
+    if (!batch) {
+      batch = {
+        entries: [],
+        callers: [],
+        deadline,
+        timer: setTimeout(() => flushBufferBatch(tableName), bufferInsertFlushMilliseconds),
+      };
+      pendingBufferBatches.set(tableName, batch);
     }
+
+    batch.deadline = Math.min(batch.deadline, deadline);
+
+    const entryArray = rowObjArray.map((rowObj) => ({ rowObj, operation, insertId: getInsertId(rowObj) }));
+    batch.entries.push(...entryArray);
+    batch.callers.push({ resolve, reject, entryArray });
+    if (batch.entries.length >= bufferInsertBatchSize) {
+      flushBufferBatch(tableName);
+    }
+  });
+
+/**
+ * Wait for all writes of an event, then rethrow the first failure, so that the event is delivered again if retries are
+ * enabled for the function. Rows failing with permanent errors (e.g. schema mismatch) are in the error log and don't
+ * throw, as delivering the event again wouldn't help.
+ * @param {Promise[]} promiseArray
+ */
+const settleEventWrites = async (promiseArray) => {
+  const resultArray = await Promise.allSettled(promiseArray);
+  const rejectedResult = resultArray.find((result) => result.status === "rejected");
+  if (rejectedResult) throw rejectedResult.reason;
+};
+
+/**
+ * Pick columns of a row that are set.
+ * @param {object} rowObj
+ * @param {string[]} columnNameArray
+ * @returns {object}
+ */
+const pickColumns = (rowObj, columnNameArray) =>
+  Object.fromEntries(
+    columnNameArray.filter((columnName) => rowObj[columnName] != null).map((columnName) => [columnName, rowObj[columnName]])
+  );
+
+/**
+ * Stream the deletion of a doc to the buffer table. With the doc's last state (`oldValue` of the event), buffer rows
+ * hold its converted data (for "boxes", one row per tube that was in the box), and the last state is also saved to
+ * the deleted docs table, which keeps it after buffer rows are cleaned up.
+ * Rows are stamped with the commit time of the delete, so that a delete delivered late doesn't override a later
+ * re-creation of the doc.
+ * @param {string} tableName
+ * @param {string} docId
+ * @param {string} eventId
+ * @param {object} [pathFields] Column values taken from the document path
+ * @param {object} [oldValue] Last state of the doc, as `Document` of the event
+ * @param {string} [eventTime] Commit time of the delete (`time` of the CloudEvent). Defaults to now.
+ */
+export const streamDelete = async (
+  tableName,
+  docId,
+  eventId,
+  pathFields = {},
+  oldValue = null,
+  eventTime = new Date().toISOString()
+) => {
+  const deadline = Date.now() + writeRetryMaxMilliseconds;
+  const commitTimestamp = parseTimestamp(eventTime);
+  const updatedAt = timestampToIsoString(commitTimestamp);
+  const row = { docId, ...pathFields, updatedAt, isDeleted: true, eventId, commitTime: toCommitTime(commitTimestamp) };
+  const oldRowObjArray = oldValue ? convertDeletedDocToRows(tableName, oldValue) : [];
+  const rowObjArray = oldRowObjArray.length > 0 ? oldRowObjArray.map((rowObj) => ({ ...rowObj, ...row })) : [row];
+  const { childTables, childDocKey } = tableConfigMap[tableName];
+  // Child tables get one row with the doc's key columns, taken from its last state where they aren't path columns
+  const childRow = { ...pickColumns({ ...oldRowObjArray[0], ...row }, childDocKey), ...row };
+
+  const getDeleteInsertId = (bufferTableName) => (rowObj) => getBufferInsertId(bufferTableName, "DELETE", rowObj);
+
+  await settleEventWrites([
+    addRowsToBufferBatch(tableName, rowObjArray, "DELETE", getDeleteInsertId(tableName), deadline),
+    ...Object.values(childTables).map((childTableName) =>
+      addRowsToBufferBatch(childTableName, [{ ...childRow }], "DELETE", getDeleteInsertId(childTableName), deadline)
+    ),
+    saveChange(tableName, "DELETE", { docId, ...pathFields }, eventId, updatedAt, [], deadline),
+    oldValue && saveDeletedDoc(tableName, docId, eventId, updatedAt, oldRowObjArray, deadline),
+  ]);
+};
+
+/**
+ * Convert the last state of a deleted doc to rows, the same way as doc updates. Warnings are not saved, as they were
+ * reported when the doc was updated.
+ * @param {string} tableName
+ * @param {object} oldValue
+ * @returns {object[]} Coerced rows without metadata columns, except `createdAt`
+ */
+const convertDeletedDocToRows = (tableName, oldValue) => {
+  const { explode, rowExpander, nested } = tableConfigMap[tableName];
+  const createdAt = oldValue.createTime ? timestampToIsoString(oldValue.createTime) : undefined;
+  if (explode || rowExpander) {
+    const [docData] = cleanupFieldsData(tableName, oldValue.fields);
+    const rowObjArray = explode ? explodeDocument(docData, explode) : rowExpanders[rowExpander](docData);
+    return rowObjArray.map((rowObj) => ({ createdAt, ...coerceDataToSchema(tableName, rowObj)[0] }));
+  }
+
+  if (nested) {
+    const [docData] = cleanupFieldsData(tableName, oldValue.fields);
+    return [{ createdAt, ...coerceNestedDataToSchema(tableName, docData)[0] }];
   }
 
-  return [flattenedData, warningMsgArray];
+  const [flattenedData] = cleanupAndFlattenFields(tableName, oldValue.fields);
+  return [{ createdAt, ...coerceDataToSchema(tableName, flattenedData)[0] }];
 };
 
-export const streamDelete = async (tableName, docId) => {
-  const row = { docId, updatedAt: new Date().toISOString(), isDeleted: true };
+/**
+ * Save the last state of a deleted doc to the deleted docs table.
+ * @param {string} tableName
+ * @param {string} docId
+ * @param {string} eventId
+ * @param {string} deletedAt
+ * @param {object[]} rowObjArray Rows converted from the doc. Saved as an array for tables with multiple rows per doc.
+ * @param {number} [deadline] Retry deadline (see `withRetry`)
+ */
+const saveDeletedDoc = async (tableName, docId, eventId, deletedAt, rowObjArray, deadline) => {
+  const { explode, rowExpander } = tableConfigMap[tableName];
+  const row = {
+    targetTable: tableName,
+    docId,
+    eventId,
+    deletedAt,
+    data: JSON.stringify(explode || rowExpander ? rowObjArray : rowObjArray[0] || {}),
+  };
 
   try {
-    await bigquery.dataset(bufferDatasetName).table(tableName).insert(row);
+    await withRetry(() =>
+      bigquery.dataset(datasetName).table(deletedDocsTableName).insert([{ insertId: eventId, json: row }], { raw: true }),
+      deadline
+    );
   } catch (error) {
-    await saveError(datasetName, tableName, docId, "DELETE", null, error);
+    console.error(`Error occurred when saving to table "${deletedDocsTableName}".`, JSON.stringify(error, null, 2));
   }
 };
 
-export const streamInsert = async (tableName, rowObj) => {
+/**
+ * Append a change of a doc to its changelog table, for tables with `changelog` enabled in tableConfigs.js.
+ * Unlike buffer tables, changelog tables are never merged or cleaned up, so they keep the full history of docs.
+ * @param {string} tableName
+ * @param {string} operation "CREATE", "UPDATE", "DELETE", or "SNAPSHOT" for docs re-streamed from Firestore
+ * @param {object} rowObj Row in the target table after the change. Only key columns for deletes.
+ * @param {string} eventId
+ * @param {string} eventTime ISO time of the change
+ * @param {string[]} [changedFields] Field paths from `updateMask` of updates
+ * @param {number} [deadline] Retry deadline (see `withRetry`)
+ */
+const saveChange = async (tableName, operation, rowObj, eventId, eventTime, changedFields = [], deadline) => {
+  if (!tableConfigMap[tableName]?.changelog) return;
+  const row = { docId: rowObj.docId, operation, eventId, eventTime, changedFields, rowData: JSON.stringify(rowObj) };
   try {
-    await bigquery.dataset(bufferDatasetName).table(tableName).insert(rowObj);
+    await withRetry(() =>
+      bigquery.dataset(changelogDatasetName).table(tableName).insert([{ insertId: eventId, json: row }], { raw: true }),
+      deadline
+    );
   } catch (error) {
-    await saveError(datasetName, tableName, rowObj.docId, "INSERT", rowObj, error);
+    await saveError(datasetName, tableName, rowObj.docId, "CHANGELOG", row, error, deadline);
   }
 };
 
-export const streamUpdatesToBuffer = async (tableName, docId, decodedData) => {
+/**
+ * Insert a row to a buffer table. Rows of the same event share the `eventId` column; pass `getInsertId` when an event
+ * produces several rows, so that each row gets its own insert id.
+ * @param {string} tableName
+ * @param {object} rowObj
+ * @param {(rowObj: object) => string} [getInsertId]
+ * @param {number} [deadline] Retry deadline of the event (see `withRetry`)
+ */
+export const streamInsert = async (tableName, rowObj, getInsertId, deadline) => {
+  await addRowsToBufferBatch(tableName, [rowObj], "INSERT", getInsertId, deadline);
+};
+
+export const streamUpdatesToBuffer = async (tableName, docId, decodedData, eventId, pathFields = {}) => {
   if (!allSchemas?.[tableName]) {
     console.log(`Schema not found for table "${tableName}".`);
     return;
   }
 
-  if (decodedData.updateMask && decodedData.updateMask.fieldPaths.length < ignoredKeys[tableName]?.top.size) {
+  const ignoredTopKeys = tableConfigMap[tableName]?.ignoredKeys.top;
+  if (decodedData.updateMask && decodedData.updateMask.fieldPaths.length < ignoredTopKeys?.size) {
     let ignoredFieldCount = 0;
     for (const fieldName of decodedData.updateMask.fieldPaths) {
-      if (ignoredKeys[tableName].top.has(fieldName)) {
+      if (ignoredTopKeys.has(fieldName)) {
         ignoredFieldCount++;
       }
     }
@@ -330,19 +1290,26 @@ export const streamUpdatesToBuffer = async (tableName, docId, decodedData) => {
     }
   }
 
-  const [flattenedData, warningMsgArray] = cleanupAndFlattenFields(tableName, decodedData.value.fields);
-  const fieldNamesInData = new Set(Object.keys(flattenedData));
-  const fieldNamesInSchema = allTableFieldNameSets[tableName];
-  const extraFieldsInData = fieldNamesInData.difference(fieldNamesInSchema); // Need Node v22 for Set difference
-  if (extraFieldsInData.size > 0) {
-    warningMsgArray.push(
-      `Extra ${extraFieldsInData.size} field(s) found in data: ${[...extraFieldsInData].join(", ")}`
-    );
-    await saveWarning(datasetName, tableName, docId, flattenedData, warningMsgArray.sort().join("; "));
+  // In nested mode, maps and arrays go to RECORD and REPEATED columns instead of being flattened.
+  const { nested } = tableConfigMap[tableName];
+  const [rowData, warningArray, childRowsMap = {}, fieldPathMap = {}, childFieldPathsMap = {}] = nested
+    ? cleanupFieldsData(tableName, decodedData.value.fields)
+    : cleanupAndFlattenFields(tableName, decodedData.value.fields);
+  let coercedData, typeWarningArray, extraFieldNameArray;
+  if (nested) {
+    [coercedData, typeWarningArray, extraFieldNameArray] = coerceNestedDataToSchema(tableName, rowData);
+  } else {
+    const fieldNamesInData = new Set(Object.keys(rowData));
+    extraFieldNameArray = [...fieldNamesInData.difference(allTableFieldNameSets[tableName])]; // Need Node v22 for Set difference
+    [coercedData, typeWarningArray] = coerceDataToSchema(tableName, rowData);
+    typeWarningArray.forEach((warning) => (warning.fieldPath = fieldPathMap[warning.columnName]));
+  }
 
-    extraFieldsInData.forEach((fieldName) => {
-      delete flattenedData[fieldName];
-    });
+  for (const fieldName of extraFieldNameArray) {
+    const fieldPath = fieldPathMap[fieldName] || fieldName;
+    const valueType = getFirestoreValueType(decodedData.value.fields, fieldPath);
+    const details = { fieldPath, columnName: fieldName, valueType };
+    warningArray.push(createWarning(tableName, "extraField", `Extra field found in data: ${fieldName}`, details));
   }
 
   const createTimeMilliseconds =
@@ -351,107 +1318,180 @@ export const streamUpdatesToBuffer = async (tableName, docId, decodedData) => {
   const updateTimeMilliseconds =
     decodedData.value.updateTime.seconds * 1000 + Math.round(decodedData.value.updateTime.nanos / 1e6);
   const updatedAt = new Date(updateTimeMilliseconds).toISOString();
-  const rowObj = { docId, createdAt, updatedAt, ...flattenedData };
-  await streamInsert(tableName, rowObj);
-};
-
-const bagCidArray = [
-  "d_650224161",
-  "d_136341211",
-  "d_503046679",
-  "d_313341808",
-  "d_668816010",
-  "d_754614551",
-  "d_174264982",
-  "d_550020510",
-  "d_673090642",
-  "d_492881559",
-  "d_536728814",
-  "d_309413330",
-  "d_357218702",
-  "d_945294744",
-  "d_741697447",
-];
-
-const boxRowCommonKeyArray = [
-  "d_672863981",
-  "d_560975149",
-  "d_842312685",
-  "d_132929440",
-  "d_789843387",
-  "d_555611076",
-  "d_145971562",
-  "d_959708259",
-  "d_948887825",
-  "d_666553960",
-  "d_885486943",
-  "d_656548982",
-  "d_105891443",
-  "d_238268405",
-  "d_870456401",
-  "d_926457119",
-  "d_333524031",
-];
 
-/**
- * Convert a doc of json structure to multiple rows in  BigQuery table.
- * Each box doc in Firestore can be converted to multiple rows in BigQuery table.
- * @param {object} boxData
- */
-export const flattenBoxData = (boxData) => {
-  let rowObjArray = [];
-  let tubeIdSet = new Set();
-  let rowCommonData = {};
+  const commitTime = toCommitTime(decodedData.value.updateTime);
+  // Path columns come last, so that doc fields of the same names don't override them
+  const rowObj = { docId, createdAt, updatedAt, eventId, commitTime, ...coercedData, ...pathFields };
+  const docKeyValues = pickColumns(rowObj, tableConfigMap[tableName].childDocKey);
+  const docMetadata = { ...docKeyValues, docId, createdAt, updatedAt, eventId, commitTime };
+  const childFieldPaths = { fieldsData: decodedData.value.fields, childFieldPathsMap };
+  const [childRowObjArrayMap, childWarningArray] = buildChildRows(
+    tableName,
+    childRowsMap,
+    pathFields,
+    docMetadata,
+    childFieldPaths
+  );
+  // All writes of the event share one retry deadline, and warnings are saved along with the rows, so that the event
+  // is done before the function times out
+  const deadline = Date.now() + writeRetryMaxMilliseconds;
+  const allWarningArray = [...warningArray, ...typeWarningArray, ...childWarningArray];
+  let operation = decodedData.oldValue ? "UPDATE" : "CREATE";
+  if (eventId?.startsWith(backfillEventIdPrefix)) operation = "SNAPSHOT";
+  const changedFields = decodedData.updateMask?.fieldPaths || [];
+  let promiseArray = [
+    streamInsert(tableName, rowObj, undefined, deadline),
+    saveChange(tableName, operation, rowObj, eventId, updatedAt, changedFields, deadline),
+  ];
+  if (extraFieldNameArray.length > 0 || typeWarningArray.length > 0 || childWarningArray.length > 0) {
+    promiseArray.push(saveWarning(datasetName, tableName, docId, rowData, allWarningArray, eventId, deadline));
+  }
 
-  boxRowCommonKeyArray.forEach((key) => {
-    if (Array.isArray(boxData[key])) {
-      rowCommonData[key] = boxData[key].join(";");
-    } else {
-      rowCommonData[key] = boxData[key];
+  for (const [childTableName, childRowObjArray] of Object.entries(childRowObjArrayMap)) {
+    for (const childRowObj of childRowObjArray) {
+      const getChildInsertId = (rowObj) => getBufferInsertId(childTableName, "INSERT", rowObj);
+      promiseArray.push(streamInsert(childTableName, childRowObj, getChildInsertId, deadline));
     }
-  });
+  }
 
+  await settleEventWrites(promiseArray);
+};
+
+/**
+ * Build buffer rows of the child tables of a doc. A child table without rows (e.g. the array was emptied or removed)
+ * gets one row without `arrayIndex`, so that the sync removes rows of earlier versions of the array.
+ * @param {string} tableName Parent table name
+ * @param {object} childRowsMap Child rows from `cleanupAndFlattenFields`, keyed by child table name
+ * @param {object} pathFields Column values taken from the document path, kept if child schemas have them
+ * @param {object} docMetadata `docId`, `createdAt`, `updatedAt`, `eventId`, `commitTime` and the `childDocKey` columns
+ *   (see `normalizeTableConfigs`) of the parent doc
+ * @param {object} [childFieldPaths] `fields` of the doc and field paths of child rows from `cleanupAndFlattenFields`,
+ *   as `{ fieldsData, childFieldPathsMap }`, used to describe extra fields in warnings
+ * @returns {[object, object[]]} Rows keyed by child table name, and warnings
+ */
+const buildChildRows = (tableName, childRowsMap, pathFields, docMetadata, childFieldPaths = {}) => {
+  const { fieldsData = {}, childFieldPathsMap = {} } = childFieldPaths;
+  let childRowObjArrayMap = {};
+  let warningArray = [];
 
-  for (const bagCid of bagCidArray) {
-    const hasTube = boxData[bagCid]?.d_234868461?.length > 0;
-    if (!hasTube) continue;
-
-    let bagType = "";
-    if (boxData[bagCid].d_787237543) {
-      bagType = "Blood/Urine";
-    } else if (boxData[bagCid].d_223999569) {
-      bagType = "Mouth wash";
-    } else if (boxData[bagCid].d_522094118) {
-      bagType = "Orphan bag";
-    }
-
-    const currTubeIdArray = boxData[bagCid].d_234868461;
-    for (const tubeID of currTubeIdArray) {
-      rowObjArray.push({
-        ...rowCommonData,
-        bagID: boxData[bagCid].d_787237543 || boxData[bagCid].d_223999569 || boxData[bagCid].d_522094118,
-        bagType,
-        d_469819603: boxData[bagCid].d_469819603 || "",
-        d_255283733: boxData[bagCid].d_255283733,
-        tubeID,
+  for (const childTableName of Object.values(tableConfigMap[tableName].childTables)) {
+    const childRowObjArray = childRowsMap[childTableName]?.length > 0 ? childRowsMap[childTableName] : [{}];
+    childRowObjArrayMap[childTableName] = childRowObjArray.map((childRowObj, index) => {
+      const extraFieldNameArray = Object.keys(childRowObj).filter(
+        (fieldName) => !allTableFieldNameSets[childTableName]?.has(fieldName)
+      );
+      for (const fieldName of extraFieldNameArray) {
+        const message = `Extra field found in child table ${childTableName}: ${fieldName}`;
+        const fieldPath = childFieldPathsMap[childTableName]?.[index]?.[fieldName] ?? null;
+        const valueType = fieldPath && getFirestoreValueType(fieldsData, fieldPath);
+        const details = { fieldPath, columnName: fieldName, valueType };
+        warningArray.push(createWarning(childTableName, "extraField", message, details));
+      }
+
+      const [coercedChildRowObj, typeWarningArray] = coerceDataToSchema(childTableName, {
+        ...childRowObj,
+        ...pathFields,
       });
-      tubeIdSet.add(tubeID);
+      typeWarningArray.forEach((warning) =>
+        warningArray.push({ ...warning, message: `Child table ${childTableName}: ${warning.message}` })
+      );
+      return { ...docMetadata, ...coercedChildRowObj };
+    });
+  }
+
+  return [childRowObjArrayMap, warningArray];
+};
+
+const getValueAtPath = (obj, path) => path.split(".").reduce((value, key) => value?.[key], obj);
+
+/**
+ * Get the value of a child column from the items in scope, following an `emit` rule of an explode rule.
+ * @param {object} scope Document (`doc`) and current items of each level, keyed by their `as` names
+ * @param {string | object} rule Path of the value, `{ coalesce: [paths], default }` for the first truthy value, or
+ *   `{ label: { path: label }, default }` for the label of the first path having a truthy value
+ */
+const getEmittedValue = (scope, rule) => {
+  if (typeof rule === "string") return getValueAtPath(scope, rule);
+  if (rule.coalesce) {
+    for (const path of rule.coalesce) {
+      const value = getValueAtPath(scope, path);
+      if (value) return value;
     }
+  } else if (rule.label) {
+    for (const [path, label] of Object.entries(rule.label)) {
+      if (getValueAtPath(scope, path)) return label;
+    }
+  }
+
+  return rule.default;
+};
+
+/**
+ * Convert a document to one row per child item, following the `explode` rule in tableConfigs.js.
+ * Levels in `each` are iterated from the document down: `{ keys, as }` iterates values of the listed keys, and
+ * `{ path, as, keyAs }` iterates elements of an array (or values of a map) at the path in the current item.
+ * @param {object} docData Document data cleaned up by `cleanupFieldsData`
+ * @param {object} explodeRule `{ carry, each, emit }`. `carry` lists document fields copied to every row (arrays are
+ *   joined with ";"); `emit` maps child column names to rules of `getEmittedValue`.
+ * @returns {object[]} Rows of child items
+ */
+export const explodeDocument = (docData, explodeRule) => {
+  const { carry = [], each, emit } = explodeRule;
+  let carriedData = {};
+  for (const key of carry) {
+    carriedData[key] = Array.isArray(docData[key]) ? docData[key].join(";") : docData[key];
+  }
+
+  let contextArray = [{ scope: { doc: docData }, item: docData }];
+  for (const { keys, path, as, keyAs } of each) {
+    contextArray = contextArray.flatMap(({ scope, item }) => {
+      const entries = keys
+        ? keys.filter((key) => item?.[key] !== undefined && item?.[key] !== null).map((key) => [key, item[key]])
+        : Object.entries(getValueAtPath(item, path) ?? {});
+
+      return entries.map(([key, value]) => ({
+        scope: { ...scope, [as]: value, ...(keyAs ? { [keyAs]: key } : {}) },
+        item: value,
+      }));
+    });
   }
 
-  return rowObjArray;
+  return contextArray.map(({ scope }) => {
+    let rowObj = { ...carriedData };
+    for (const [columnName, rule] of Object.entries(emit)) {
+      rowObj[columnName] = getEmittedValue(scope, rule);
+    }
+
+    return rowObj;
+  });
 };
 
-export const streamBoxesUpdatesToBuffer = async (tableName, docId, decodedData) => {
+/**
+ * Convert a doc of json structure to multiple rows in  BigQuery table.
+ * Each box doc in Firestore can be converted to multiple rows (one per tube) in BigQuery table.
+ * @param {object} boxData
+ */
+export const flattenBoxData = (boxData) => explodeDocument(boxData, tableConfigMap.boxes.explode);
+
+/**
+ * Stream a document converted to multiple rows by the row expander configured for the table.
+ * @param {string} tableName
+ * @param {string} docId
+ * @param {object} decodedData
+ * @param {string} eventId
+ * @param {object} [pathFields] Column values taken from the document path
+ */
+export const streamExpandedUpdatesToBuffer = async (tableName, docId, decodedData, eventId, pathFields = {}) => {
   if (!allSchemas?.[tableName]) {
     console.log(`Schema not found for table "${tableName}".`);
     return;
   }
 
-  if (decodedData.updateMask && decodedData.updateMask.fieldPaths.length < ignoredKeys[tableName]?.top.size) {
+  const ignoredTopKeys = tableConfigMap[tableName]?.ignoredKeys.top;
+  if (decodedData.updateMask && decodedData.updateMask.fieldPaths.length < ignoredTopKeys?.size) {
     let ignoredFieldCount = 0;
     for (const fieldName of decodedData.updateMask.fieldPaths) {
-      if (ignoredKeys[tableName].top.has(fieldName)) {
+      if (ignoredTopKeys.has(fieldName)) {
         ignoredFieldCount++;
       }
     }
@@ -462,15 +1502,13 @@ export const streamBoxesUpdatesToBuffer = async (tableName, docId, decodedData)
     }
   }
 
-  const [boxData, warningMsgArray] = cleanupFieldsData(tableName, decodedData.value.fields);
-  if (warningMsgArray.length > 0) {
-    await saveWarning(datasetName, tableName, docId, boxData, warningMsgArray.sort().join("; "));
-  }
+  const { explode, rowExpander } = tableConfigMap[tableName];
+  const [docData, warningArray] = cleanupFieldsData(tableName, decodedData.value.fields);
 
-  let rowObjArray = flattenBoxData(boxData);
+  let rowObjArray = explode ? explodeDocument(docData, explode) : rowExpanders[rowExpander](docData);
   if (rowObjArray.length === 0) {
-    console.log(`No rows to insert to table "${tableName}".`);
-    return;
+    console.log(`No child rows in doc "${docId}" of table "${tableName}". Streaming a row without key.`);
+    rowObjArray = [{}]; // Lets the sync remove child rows of this doc from the target table
   }
 
   const createTimeMilliseconds =
@@ -479,27 +1517,113 @@ export const streamBoxesUpdatesToBuffer = async (tableName, docId, decodedData)
   const updateTimeMilliseconds =
     decodedData.value.updateTime.seconds * 1000 + Math.round(decodedData.value.updateTime.nanos / 1e6);
   const updatedAt = new Date(updateTimeMilliseconds).toISOString();
-  rowObjArray = rowObjArray.map((rowObj) => ({ docId, createdAt, updatedAt, ...rowObj }));
+  const commitTime = toCommitTime(decodedData.value.updateTime);
+  let typeWarningArray = [];
+  rowObjArray = rowObjArray.map((rowObj) => {
+    const [coercedRowObj, rowTypeWarningArray] = coerceDataToSchema(tableName, {
+      docId,
+      createdAt,
+      updatedAt,
+      ...rowObj,
+      ...pathFields,
+    });
+    typeWarningArray.push(...rowTypeWarningArray);
+    return { ...coercedRowObj, eventId, commitTime };
+  });
 
+  // Writes of the event share one retry deadline, as in `streamUpdatesToBuffer`
+  const deadline = Date.now() + writeRetryMaxMilliseconds;
+  const getRowInsertId = (rowObj) => getBufferInsertId(tableName, "INSERT", rowObj);
   let promiseArray = [];
   for (const rowObj of rowObjArray) {
-    promiseArray.push(streamInsert(tableName, rowObj));
+    promiseArray.push(streamInsert(tableName, rowObj, getRowInsertId, deadline));
   }
 
-  await Promise.allSettled(promiseArray);
+  const allWarningArray = [...warningArray, ...typeWarningArray];
+  if (allWarningArray.length > 0) {
+    promiseArray.push(saveWarning(datasetName, tableName, docId, docData, allWarningArray, eventId, deadline));
+  }
+
+  await settleEventWrites(promiseArray);
 };
 
 /**
- * Delete old records from buffer tables after a certain period of time.
- * @param {string} tableName 
+ * Stream a doc version to the buffer table, converting it as set in the table config.
+ * @param {string} tableName
+ * @param {string} docId
+ * @param {object} decodedData
+ * @param {string} eventId
+ * @param {object} [pathFields] Column values taken from the document path
+ */
+export const streamDocumentToBuffer = async (tableName, docId, decodedData, eventId, pathFields = {}) => {
+  const { explode, rowExpander } = tableConfigMap[tableName];
+  if (explode || rowExpander) {
+    await streamExpandedUpdatesToBuffer(tableName, docId, decodedData, eventId, pathFields);
+  } else {
+    await streamUpdatesToBuffer(tableName, docId, decodedData, eventId, pathFields);
+  }
+};
+
+/**
+ * Rows re-streamed from Firestore (e.g. by `backfillTable` in localUtils.js) have `eventId` like
+ * "backfill_<ISO time of the run>_<docId>". The sync lets them update target rows of the same doc version.
+ */
+export const backfillEventIdPrefix = "backfill_";
+const backfillUpdateCondition = `(S.updatedAt > T.updatedAt OR (S.updatedAt = T.updatedAt AND STARTS_WITH(S.eventId, "${backfillEventIdPrefix}")))`;
+
+/**
+ * Order of buffered events, latest first: by Firestore commit time, then re-streamed rows before other rows of the same
+ * doc version, then by `eventId`, which for re-streamed rows increases with the time of the run.
+ * Rows buffered before `commitTime` was added have it null, and come after rows having it.
  */
-const deleteOldRecordsFromBuffer = async (tableName) => {
+const latestEventFirstOrder = `commitTime DESC, updatedAt DESC, STARTS_WITH(eventId, "${backfillEventIdPrefix}") DESC, eventId DESC`;
+
+// A delete is committed after the last version of the doc, so it can't be older than the target row it removes.
+const deleteCondition = "S.updatedAt >= T.updatedAt";
+
+/**
+ * Buffer rows considered by a sync: all buffered rows of the keys having rows buffered after the table's last sync
+ * watermark, going back `syncWatermarkOverlapMinutes` for rows still being inserted at the time of the last sync.
+ * Merging a row again doesn't change the result, so the overlap is safe. Older rows of those keys are ranked as well,
+ * so that a late row (e.g. a redelivered or replayed update) doesn't win over a delete merged by an earlier sync.
+ * Rows buffered before `bufferedAt` was added are always included.
+ * @param {string} tableName
+ * @param {string[]} keyColumnArray Columns of the keys, never null in buffered rows
+ * @param {string} [since] Last watermark of the table. All rows are considered without it.
+ * @returns {string} Table expression for a FROM clause
+ */
+const getBufferedRowsSource = (tableName, keyColumnArray, since) => {
+  const bufferTable = `${bufferDatasetName}.${tableName}`;
+  if (!since) return bufferTable;
+
+  const keyStruct = `STRUCT(${keyColumnArray.join(", ")})`;
+  return `(
+        SELECT * FROM ${bufferTable}
+        WHERE ${keyStruct} IN (
+          SELECT ${keyStruct} FROM ${bufferTable}
+          WHERE bufferedAt IS NULL
+            OR bufferedAt > TIMESTAMP_SUB(TIMESTAMP("${since}"), INTERVAL ${syncWatermarkOverlapMinutes} MINUTE)))`;
+};
+
+/**
+ * Delete old records from buffer tables after a certain period of time. Rows that may not have been merged by the
+ * current sync (buffered less than `syncWatermarkOverlapMinutes` before it started) are kept regardless.
+ * @param {string} tableName
+ * @param {string} mergedUntil Start time of the current sync, which merged rows buffered before it
+ */
+const deleteOldRecordsFromBuffer = async (tableName, mergedUntil) => {
   let cutoffTime = new Date();
   cutoffTime.setHours(cutoffTime.getHours() - bufferRecordsRetainHours);
-  const cutoffTimeStr = cutoffTime.toISOString();
+  const mergedCutoffTime = new Date(Date.parse(mergedUntil) - syncWatermarkOverlapMinutes * 60 * 1000);
+  const cutoffTimeStr = new Date(Math.min(cutoffTime, mergedCutoffTime)).toISOString();
+  // Rows buffered before `bufferedAt` was added fall back to `updatedAt`, which re-streamed rows take from the doc, so
+  // those are kept until the time of their run passes the cutoff.
   const deleteOldRecords = `
     DELETE FROM ${bufferDatasetName}.${tableName}
-    WHERE updatedAt < "${cutoffTimeStr}";
+    WHERE bufferedAt < TIMESTAMP("${cutoffTimeStr}")
+      OR (bufferedAt IS NULL AND updatedAt < "${cutoffTimeStr}"
+        AND NOT (STARTS_WITH(eventId, "${backfillEventIdPrefix}")
+          AND SUBSTR(eventId, ${backfillEventIdPrefix.length + 1}, 24) >= "${cutoffTimeStr}"));
     `;
 
   try {
@@ -509,108 +1633,296 @@ const deleteOldRecordsFromBuffer = async (tableName) => {
   }
 };
 
-export const syncUpdates = async (tableName) => {
+// In soft-delete mode, a deleted row is only updated (and restored) by a version committed after its delete, so that an
+// update merged after the delete (e.g. a redelivered or replayed one) doesn't bring the row back
+const softDeleteUpdateCondition = "(T.isDeleted IS NOT TRUE OR T.deletedAt IS NULL OR TIMESTAMP(S.updatedAt) > T.deletedAt)";
+
+/**
+ * Build the SET clause updating target rows from buffered rows. In soft-delete mode, updated rows are also restored,
+ * e.g. when a deleted doc is created again (see `softDeleteUpdateCondition`).
+ * @param {string[]} fieldNameArray
+ * @param {boolean} isSoftDelete
+ */
+const getUpdateSetClause = (fieldNameArray, isSoftDelete) => {
+  const setClauseArray = fieldNameArray.map((fieldName) => `T.${fieldName} = S.${fieldName}`);
+  if (isSoftDelete) setClauseArray.push("T.isDeleted = FALSE", "T.deletedAt = NULL");
+  return setClauseArray.join(", ");
+};
+
+/**
+ * Sync the latest buffered version of each row to a target table. Deleted rows are removed, or in soft-delete mode
+ * (`syncMode: "softDelete"`) kept with `isDeleted` and `deletedAt` set.
+ * @param {string} tableName
+ * @param {object} [syncWindow] `since`: last sync watermark of the table, to merge only rows buffered after it;
+ *   `until`: start time of this sync, the table's next watermark. Defaults to all buffered rows, until now.
+ * @returns {Promise<boolean>} Whether the sync succeeded
+ */
+export const syncUpdates = async (tableName, { since, until = new Date().toISOString() } = {}) => {
   const fieldNameArray = Array.from(allTableFieldNameSets[tableName]);
+  const { primaryKey, syncMode } = tableConfigMap[tableName];
+  const isSoftDelete = syncMode === "softDelete";
+  const deleteAction = isSoftDelete ? "UPDATE SET T.isDeleted = TRUE, T.deletedAt = TIMESTAMP(S.updatedAt)" : "DELETE";
   const syncBatchedUpdates = `
     MERGE ${datasetName}.${tableName} T
     USING (
       SELECT * 
       FROM (
-        SELECT *, ROW_NUMBER() OVER (PARTITION BY docId ORDER BY updatedAt DESC) AS rn
-        FROM ${bufferDatasetName}.${tableName} ) 
+        SELECT *, ROW_NUMBER() OVER (PARTITION BY ${primaryKey.join(", ")} ORDER BY ${latestEventFirstOrder}) AS rn
+        FROM ${getBufferedRowsSource(tableName, primaryKey, since)} ) 
       WHERE rn = 1 ) S
-    ON T.docId = S.docId
-    WHEN MATCHED AND S.isDeleted IS TRUE THEN DELETE
-    WHEN MATCHED AND S.updatedAt > T.updatedAt THEN 
-      UPDATE SET ${fieldNameArray.map((fieldName) => `T.${fieldName} = S.${fieldName}`).join(", ")}
+    ON ${primaryKey.map((columnName) => `T.${columnName} = S.${columnName}`).join(" AND ")}
+    WHEN MATCHED AND S.isDeleted IS TRUE AND ${deleteCondition} ${isSoftDelete ? "AND T.isDeleted IS NOT TRUE " : ""}THEN ${deleteAction}
+    WHEN MATCHED AND S.isDeleted IS NOT TRUE AND ${backfillUpdateCondition} ${isSoftDelete ? `AND ${softDeleteUpdateCondition} ` : ""}THEN 
+      UPDATE SET ${getUpdateSetClause(fieldNameArray, isSoftDelete)}
     WHEN NOT MATCHED AND S.isDeleted IS NOT TRUE THEN 
       INSERT (${fieldNameArray.join(", ")}) VALUES (${fieldNameArray.map((fieldName) => `S.${fieldName}`).join(", ")});
       `;
 
   try {
     await bigquery.query(syncBatchedUpdates);
-    await deleteOldRecordsFromBuffer(tableName);
+    await deleteOldRecordsFromBuffer(tableName, until);
     console.log(`Synced updates to ${datasetName}.${tableName}.`);
+    return true;
   } catch (error) {
     saveError(datasetName, tableName, null, "MERGE", null, error);
+    return false;
   }
 }
 
 /**
- * "boxes" table is different. One doc in "boxes" collection can be converted into multiple rows for '"boxes" table.
+ * Sync tables in SCD Type 2 mode (`syncMode: "scd2"`), keeping every version of a row. The current version of a row
+ * has `valid_to` set to null; a newer buffered version closes it (`valid_to` set to the new version's `updatedAt`)
+ * and is inserted as the current version, and a delete closes it without a new version.
+ * @param {string} tableName
+ * @param {object} [syncWindow] Buffered rows to merge, as in `syncUpdates`
+ * @returns {Promise<boolean>} Whether the sync succeeded
+ */
+export const syncScd2Updates = async (tableName, { since, until = new Date().toISOString() } = {}) => {
+  const fieldNameArray = Array.from(allTableFieldNameSets[tableName]);
+  const { primaryKey } = tableConfigMap[tableName];
+  const keyCondition = primaryKey.map((columnName) => `T.${columnName} = S.${columnName}`).join(" AND ");
+  const syncBatchedVersions = `
+    CREATE TEMP TABLE latestBufferedRows AS
+      SELECT * EXCEPT(rn)
+      FROM (
+        SELECT *, ROW_NUMBER() OVER (PARTITION BY ${primaryKey.join(", ")} ORDER BY ${latestEventFirstOrder}) AS rn
+        FROM ${getBufferedRowsSource(tableName, primaryKey, since)} )
+      WHERE rn = 1;
+
+    BEGIN TRANSACTION;
+
+    -- Rows re-streamed from Firestore update the current version in place, as they don't change the doc version
+    UPDATE ${datasetName}.${tableName} T
+    SET ${fieldNameArray.map((fieldName) => `${fieldName} = S.${fieldName}`).join(", ")}
+    FROM latestBufferedRows S
+    WHERE ${keyCondition} AND T.valid_to IS NULL AND S.isDeleted IS NOT TRUE
+      AND S.updatedAt = T.updatedAt AND STARTS_WITH(S.eventId, "${backfillEventIdPrefix}");
+
+    UPDATE ${datasetName}.${tableName} T
+    SET valid_to = TIMESTAMP(S.updatedAt)
+    FROM latestBufferedRows S
+    WHERE ${keyCondition} AND T.valid_to IS NULL
+      AND (S.updatedAt > T.updatedAt OR (S.isDeleted IS TRUE AND ${deleteCondition}));
+
+    INSERT INTO ${datasetName}.${tableName} (${fieldNameArray.join(", ")}, valid_from, valid_to)
+    SELECT ${fieldNameArray.map((fieldName) => `S.${fieldName}`).join(", ")}, TIMESTAMP(S.updatedAt), NULL
+    FROM latestBufferedRows S
+    WHERE S.isDeleted IS NOT TRUE
+      AND NOT EXISTS (
+        SELECT 1 FROM ${datasetName}.${tableName} T
+        WHERE ${keyCondition} AND (T.valid_to IS NULL OR T.updatedAt >= S.updatedAt));
+
+    COMMIT TRANSACTION;
+  `;
+
+  try {
+    await bigquery.query(syncBatchedVersions);
+    await deleteOldRecordsFromBuffer(tableName, until);
+    console.log(`Synced updates to ${datasetName}.${tableName}.`);
+    return true;
+  } catch (error) {
+    saveError(datasetName, tableName, null, "MERGE", null, error);
+    return false;
+  }
+};
+
+/**
+ * Sync tables holding multiple rows per doc (e.g. "boxes", one row per tube, or child tables of arrays, one row per
+ * array item), identified by `primaryKey` columns.
  * @param {string} tableName 
+ * @param {string[]} [primaryKey] Defaults to `primaryKey` in the table config
+ * @param {string} [syncMode] Defaults to `syncMode` in the table config. In "softDelete" mode, removed rows are kept
+ *   with `isDeleted` and `deletedAt` set.
+ * @param {object} [syncWindow] Buffered rows to merge, as in `syncUpdates`
+ * @param {string[]} [docKey] Columns identifying the doc of a row. Child tables of docs in subcollections also need
+ *   the parent's path columns, as doc ids repeat under different parents.
+ * @returns {Promise<boolean>} Whether the sync succeeded
  */
-export const syncBoxesUpdates = async (tableName) => {
+export const syncExplodedUpdates = async (
+  tableName,
+  primaryKey = tableConfigMap[tableName].primaryKey,
+  syncMode = tableConfigMap[tableName].syncMode,
+  { since, until = new Date().toISOString() } = {},
+  docKey = ["docId"]
+) => {
   const fieldNameArray = Array.from(allTableFieldNameSets[tableName]);
+  // Docs are picked by `docKey`, as rows streamed for deleted docs have no primary key
+  const bufferedRowsSource = getBufferedRowsSource(tableName, docKey, since);
+  const isSoftDelete = syncMode === "softDelete";
+  const keyNotNullCondition = primaryKey.map((columnName) => `${columnName} IS NOT NULL`).join(" AND ");
+  const docRowColumns = [...new Set([...docKey, ...primaryKey])].join(", ");
+  const docKeyColumns = docKey.join(", ");
+  const docJoinCondition = docKey.map((columnName) => `D.${columnName} = T.${columnName}`).join(" AND ");
 
-    /**
-   * This query handles insertion of new tubes and updating existing tubes.
-   * But it doesn't handle tube deletion cases: 
-   *  1) tubes are moved out of box;
-   *  2) tubes should deleted because of deletion of an entire 'boxes' document holding the tubes.
-   * Separate queries are needed for these cases.
+  /**
+   * This query handles insertion of new child rows and updating existing ones, including rows moved to another doc.
+   * Rows without key (streamed for deleted docs or docs without children) are skipped.
    */
-  const syncBatchedBoxesUpdates = `
+  const syncBatchedChildUpdates = `
     MERGE ${datasetName}.${tableName} T
     USING (
       SELECT * 
       FROM (
-        SELECT *, ROW_NUMBER() OVER (PARTITION BY tubeID ORDER BY updatedAt DESC) AS rn
-        FROM ${bufferDatasetName}.${tableName} ) 
+        SELECT *, ROW_NUMBER() OVER (PARTITION BY ${primaryKey.join(", ")} ORDER BY ${latestEventFirstOrder}) AS rn
+        FROM ${bufferedRowsSource}
+        WHERE ${keyNotNullCondition} AND isDeleted IS NOT TRUE ) 
       WHERE rn = 1 ) S
-    ON T.tubeID = S.tubeID
-    WHEN MATCHED AND S.updatedAt > T.updatedAt THEN 
-      UPDATE SET ${fieldNameArray.map((fieldName) => `T.${fieldName} = S.${fieldName}`).join(", ")}
-    WHEN NOT MATCHED AND S.isDeleted IS NOT TRUE THEN 
+    ON ${primaryKey.map((columnName) => `T.${columnName} = S.${columnName}`).join(" AND ")}
+    WHEN MATCHED AND ${backfillUpdateCondition} ${isSoftDelete ? `AND ${softDeleteUpdateCondition} ` : ""}THEN 
+      UPDATE SET ${getUpdateSetClause(fieldNameArray, isSoftDelete)}
+    WHEN NOT MATCHED THEN 
       INSERT (${fieldNameArray.join(", ")}) VALUES (${fieldNameArray.map((fieldName) => `S.${fieldName}`).join(", ")});
   `;
 
-  const deleteTubesMovedOutOfBox = `
-    DELETE FROM ${datasetName}.${tableName} 
-    WHERE STRUCT(tubeID, d_132929440, d_789843387) IN (
-      SELECT STRUCT(T.tubeID, T.d_132929440, T.d_789843387)
+  const latestDocRowsQuery = `
+      SELECT STRUCT(${docRowColumns})
       FROM (
-        SELECT *
-        FROM ${datasetName}.${tableName}
-        WHERE STRUCT(d_132929440, d_789843387) IN (
-            SELECT DISTINCT STRUCT(d_132929440, d_789843387)
-            FROM
-            ${bufferDatasetName}.${tableName}) ) AS T
-      JOIN
-        ${bufferDatasetName}.${tableName} AS S
-      USING (tubeID)
-      WHERE
-        S.tubeID IS NULL);
+        SELECT *, RANK() OVER (PARTITION BY ${docKeyColumns} ORDER BY ${latestEventFirstOrder}) AS docRank
+        FROM ${bufferedRowsSource} )
+      WHERE docRank = 1 AND isDeleted IS NOT TRUE AND ${keyNotNullCondition}`;
+
+  const latestDocUpdatesQuery = `
+      SELECT ${docKeyColumns}, MAX(updatedAt) AS latestUpdatedAt
+      FROM ${bufferedRowsSource}
+      GROUP BY ${docKeyColumns}`;
+
+  /**
+   * For each doc in the buffer, rows not in its latest version are deleted. This covers child items removed from
+   * a doc (e.g. tubes moved out of a box) and deleted docs, whose latest version has no rows. Rows updated later than
+   * the doc's latest buffered version (e.g. by a re-created doc already synced) are kept.
+   */
+  const deleteRemovedChildRows = `
+    DELETE FROM ${datasetName}.${tableName} T
+    WHERE EXISTS (
+      SELECT 1
+      FROM (${latestDocUpdatesQuery}) D
+      WHERE ${docJoinCondition} AND T.updatedAt <= D.latestUpdatedAt)
+    AND STRUCT(${docRowColumns.split(", ").map((columnName) => `T.${columnName}`).join(", ")}) NOT IN (${latestDocRowsQuery});
     `;
 
-  const deleteTubesAfterBoxDocDeletion = `
-    DELETE FROM ${datasetName}.${tableName}
-    WHERE docId IN (
-      SELECT DISTINCT docId
-      FROM ${bufferDatasetName}.${tableName}
-      WHERE isDeleted IS TRUE);
+  // In soft-delete mode, such rows are marked as deleted at the time of the doc's latest version instead
+  const markRemovedChildRows = `
+    UPDATE ${datasetName}.${tableName} T
+    SET isDeleted = TRUE, deletedAt = TIMESTAMP(D.latestUpdatedAt)
+    FROM (${latestDocUpdatesQuery}) D
+    WHERE ${docJoinCondition} AND T.isDeleted IS NOT TRUE AND T.updatedAt <= D.latestUpdatedAt
+    AND STRUCT(${docRowColumns.split(", ").map((columnName) => `T.${columnName}`).join(", ")}) NOT IN (${latestDocRowsQuery});
     `;
 
   try {
-    await bigquery.query(syncBatchedBoxesUpdates);
-    await bigquery.query(deleteTubesMovedOutOfBox);
-    await bigquery.query(deleteTubesAfterBoxDocDeletion);
-    await deleteOldRecordsFromBuffer(tableName);
+    await bigquery.query(syncBatchedChildUpdates);
+    await bigquery.query(isSoftDelete ? markRemovedChildRows : deleteRemovedChildRows);
+    await deleteOldRecordsFromBuffer(tableName, until);
     console.log(`Synced updates to table ${datasetName}.${tableName}.`);
+    return true;
   } catch (error) {
     saveError(datasetName, tableName, null, "MERGE", null, error);
+    return false;
+  }
+};
+
+/**
+ * Custom row expanders, for documents that can't be converted to multiple rows by an `explode` rule.
+ * Each expander takes doc data cleaned up by `cleanupFieldsData` and returns rows. Tables use them by setting
+ * `rowExpander` in tableConfigs.js, and are synced by `syncExplodedUpdates`.
+ */
+export const rowExpanders = {};
+
+/**
+ * Get the sync watermark of each table: the start time of its last successful sync, before which all buffered rows
+ * have been merged.
+ * @returns {Promise<Map<string, string>>} Watermarks as ISO strings, keyed by table name. Empty if the sync state
+ *   table can't be read, so that all buffered rows are merged.
+ */
+const getSyncWatermarks = async () => {
+  try {
+    const [rows] = await bigquery.query(`SELECT tableName, watermark FROM ${datasetName}.${syncStateTableName};`);
+    return new Map(rows.map((row) => [row.tableName, row.watermark.value]));
+  } catch (error) {
+    saveError(datasetName, syncStateTableName, null, "READ", null, error);
+    return new Map();
+  }
+};
+
+/**
+ * Save the new sync watermark of tables synced successfully, in one statement for all tables.
+ * @param {string[]} syncedTableNameArray
+ * @param {string} watermark Start time of the sync
+ */
+const saveSyncWatermarks = async (syncedTableNameArray, watermark) => {
+  if (syncedTableNameArray.length === 0) return;
+  const saveWatermarks = `
+    MERGE ${datasetName}.${syncStateTableName} T
+    USING (
+      SELECT tableName, TIMESTAMP(@watermark) AS watermark
+      FROM UNNEST(@tableNames) AS tableName ) S
+    ON T.tableName = S.tableName
+    WHEN MATCHED THEN
+      UPDATE SET T.watermark = S.watermark, T.syncedAt = CURRENT_TIMESTAMP()
+    WHEN NOT MATCHED THEN
+      INSERT (tableName, watermark, syncedAt) VALUES (S.tableName, S.watermark, CURRENT_TIMESTAMP());
+  `;
+
+  try {
+    await bigquery.query({ query: saveWatermarks, params: { tableNames: syncedTableNameArray, watermark } });
+  } catch (error) {
+    saveError(datasetName, syncStateTableName, null, "MERGE", null, error);
   }
 };
 
+/**
+ * Sync buffered rows to all target tables. Each table only merges rows buffered after its last successful sync, and
+ * its watermark moves forward only if its sync succeeds, so rows of failed syncs are merged by a later run.
+ */
 export const syncBatchedUpdatesToTables = async () => {
-  let promiseArray = [];
+  const until = new Date().toISOString();
+  const watermarkMap = await getSyncWatermarks();
+  let syncTaskArray = [];
   for (const tableName of tableNameArray) {
-    if (tableName === "boxes") {
-      promiseArray.push(syncBoxesUpdates(tableName));
+    const { explode, rowExpander, childTables, childDocKey, syncMode } = tableConfigMap[tableName];
+    const syncWindow = { since: watermarkMap.get(tableName), until };
+    if (explode || rowExpander) {
+      syncTaskArray.push([tableName, syncExplodedUpdates(tableName, undefined, undefined, syncWindow)]);
+    } else if (syncMode === "scd2") {
+      syncTaskArray.push([tableName, syncScd2Updates(tableName, syncWindow)]);
     } else {
-      promiseArray.push(syncUpdates(tableName));
+      syncTaskArray.push([tableName, syncUpdates(tableName, syncWindow)]);
+    }
+
+    for (const childTableName of Object.values(childTables)) {
+      const childSyncMode = syncMode === "softDelete" ? syncMode : "overwrite";
+      const childSyncWindow = { since: watermarkMap.get(childTableName), until };
+      const childPrimaryKey = [...childDocKey, "arrayIndex"];
+      syncTaskArray.push([
+        childTableName,
+        syncExplodedUpdates(childTableName, childPrimaryKey, childSyncMode, childSyncWindow, childDocKey),
+      ]);
     }
   }
 
-  await Promise.allSettled(promiseArray);
+  const resultArray = await Promise.allSettled(syncTaskArray.map(([, promise]) => promise));
+  const syncedTableNameArray = syncTaskArray
+    .filter((_, index) => resultArray[index].value === true)
+    .map(([tableName]) => tableName);
+  await saveSyncWatermarks(syncedTableNameArray, until);
 };